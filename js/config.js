@@ -3,6 +3,11 @@ const CONFIG = {
     API_URL: 'https://api.qjfsw.xyz/api/chat',
     // 备用本地开发地址 (由 npm start 启动的 node server):
     // API_URL: 'http://localhost:3001/api/chat',
-    MODEL: 'minimaxai/minimax-m2.1'
+    // 必须是 worker/wrangler.toml 中 PROVIDERS 列出的模型；上下文预算在同一文件的 CONTEXT_BUDGETS 中配置
+    MODEL: 'minimaxai/minimax-m2.1',
+    // 设为 true 时顶栏出现「提示词」按钮，可查看上一次提示词各部分的大小与被裁剪的内容 (提示词由服务端组装)
+    DEBUG_PROMPT: false
+    // 流式回复超过这么久 (毫秒) 没有新数据即视为中断并重试一次，默认 15000
+    // STREAM_STALL_MS: 15000
 };
 // 说明：API 已通过 api.qjfsw.xyz 域名代理，以解决移动端无法直连 workers.dev 的问题。
@@ -10,6 +10,15 @@
     // Constants & Configuration
     // ============================================
     const STORAGE_KEY = 'nighttrain_save';
+    const SLOT_KEY_PREFIX = 'nighttrain_slot_';
+    const AUTOSAVE_SLOT = 'auto';
+    const MANUAL_SLOTS = ['1', '2', '3'];
+    const SAVE_FILE_FORMAT = 'nighttrain-save';
+    const SAVE_FILE_VERSION = 1;
+    const SAVE_VERSION = 1;
+    const META_KEY = 'nighttrain_meta';
+    const CORRUPT_SAVE_PREFIX = 'nighttrain_save_corrupt_';
+    const GUARD_STATS_KEY = 'nighttrain_guard_stats';
     const SCENES_URL = 'scenes.json';
     const ASSET_PATHS = {
         train: 'assets/images/',
@@ -18,84 +27,82 @@
 
     // Default world state
     const DEFAULT_STATE = {
+        saveVersion: SAVE_VERSION,
         loop: 1,
         train_stability: 80,
         reality_noise: 0,
         inspector_trust: 30,
         anomaly_awareness: 0,
         flags: {},
+        inventory: [],  // Item ids the player carries (see Inventory)
+        dispositions: {},  // Per-NPC trust / fear / familiarity (see NPC Disposition)
         playedScenes: [],
         currentSceneId: 'start',
         sceneCount: 0,
         turnCount: 0,  // Dialogue turn counter for loop limit
+        sceneTrail: [],  // Recent scenes with the stats on arrival, for the scene director
         dialogHistory: [],
+        memory: [],  // Summarized older dialogue, one note per NPC and loop (see Conversation Memory)
+        flagsEarned: [],  // Flags first set during the current loop, for the run summary
         currentNpcType: 'none', // Track current NPC for context isolation
         bgmVolume: 0.5,
-        isBgmMuted: false
+        isBgmMuted: false,
+        // World event scheduler state for the current loop (see World Events)
+        events: {
+            tick: 0,
+            lastEventTick: null,
+            elapsedMs: 0,
+            fired: {},
+            armed: {},
+            truths: {}
+        }
     };
 
-    // Ending definitions
-    const ENDINGS = {
-        train_anomaly: {
-            title: '列车异变',
-            description: '车厢开始扭曲，走廊无限延伸。你意识到这列车本身就是一个异常——而你已深陷其中。',
-            condition: (state) => state.train_stability <= 25
-        },
-        detained: {
-            title: '身份拘束',
-            description: '检票员对你露出了满意的微笑。"很好，您的配合让一切变得简单。请跟我来。" 你感到四肢逐渐失去控制。',
-            condition: (state) => state.inspector_trust >= 75 && state.reality_noise < 60
-        },
-        awakening: {
-            title: '异常觉醒',
-            description: '你看穿了这列车的真相。循环、乘客、目的地——一切都不过是某种意识实验的表象。你选择打破这个牢笼。',
-            condition: (state) => state.reality_noise >= 90 || state.anomaly_awareness >= 90
-        },
-        normal_arrival: {
-            title: '普通到站',
-            description: '列车缓缓停靠。你下车，站在陌生的站台上。身后的列车门关闭，你知道自己很快会再次登车。',
-            condition: (state) => state.sceneCount >= 50
-        },
-        turn_limit: {
-            title: '列车到站',
-            description: '列车减速了。你感到一阵眩晕。\n\n...如果再来一次，你会问不一样的问题吗？',
-            condition: (state) => state.turnCount >= 15
-        }
+    // Cross-loop memory: endings reached, run summaries and echoes of key moments (see Meta Progression).
+    // Kept under META_KEY rather than in the game state, so loading a slot or an imported file keeps it.
+    const DEFAULT_META = {
+        endings: {},
+        runs: [],
+        echoes: []
     };
 
+    const ENDINGS_URL = 'endings.json';
+    const THOUGHTS_URL = 'thoughts.json';
+    const FLAGS_URL = 'flags.json';
+    const ITEMS_URL = 'items.json';
+    const NPCS_URL = 'npcs.json';
+
+    // Ending definitions, keyed by id (loaded from ENDINGS_URL)
+    // Endings with a numeric priority are checked by checkEndings in ascending order;
+    // endings without one (e.g. turn_limit) are only triggered explicitly.
+    let ENDINGS = {};
+
     // Thoughts data - hints shown in UI, changes based on worldState
-    // These provide subtle guidance to players about what to do
-    const THOUGHTS = [
-        // Starting hints (loop 1, early game)
-        { id: 'goal1', text: '也许该找找车票...', condition: (s) => s.loop === 1 && !s.flags.has_note && s.sceneCount < 3 },
-        { id: 'explore', text: '试着在车厢里走动看看', condition: (s) => s.sceneCount < 2 },
-        { id: 'talk_hint', text: '除了选项，我也可以直接输入想做的事...', condition: (s) => s.turnCount >= 2 && s.turnCount < 5 },
-        { id: 'action_hint', text: '即使界面没有按钮，我也许可以直接描述动作（例如：服药、检查口袋）', condition: (s) => s.interactionCount > 5 && s.loop === 1 },
-
-        // Location-aware hints
-        { id: 'inspector_hint', text: '检票员在等你出示车票', condition: (s) => s.currentSceneId === 'inspector_area' && !s.flags.met_inspector },
-        { id: 'anomaly_hint', text: '那个乘客...似乎不太正常', condition: (s) => s.currentSceneId === 'anomaly_area' && !s.flags.approached_anomaly },
-        { id: 'silent_hint', text: '沉默乘客手里好像有东西', condition: (s) => s.currentSceneId === 'silent_area' && !s.flags.saw_note },
-
-        // Progress-based hints
-        { id: 'note_hint', text: '那张纸条上写了什么...', condition: (s) => s.flags.saw_note && !s.flags.has_note },
-        { id: 'truth_hint', text: '也许该问问其他人知道什么', condition: (s) => s.flags.has_note },
-
-        // Danger warnings
-        { id: 'stability_warn', text: '列车在颤抖...发生了什么？', condition: (s) => s.train_stability < 50 },
-        { id: 'noise_warn', text: '周围的一切开始变得模糊...', condition: (s) => s.reality_noise > 60 },
-
-        // Loop 2+ meta-hints
-        { id: 'loop_memory', text: '这一切...似曾相识', condition: (s) => s.loop >= 2 },
-        { id: 'loop_differ', text: '这次也许该试试别的做法', condition: (s) => s.loop >= 2 && s.sceneCount < 3 },
-        { id: 'destination', text: '这列车...真的会到站吗？', condition: (s) => true },
-    ];
+    // These provide subtle guidance to players about what to do (loaded from THOUGHTS_URL)
+    let THOUGHTS = [];
+
+    // Flag definitions keyed by flag id (loaded from FLAGS_URL). "grantableWith" lists the NPC
+    // types whose conversations may set/clear the flag through the model's setFlags;
+    // flags without it may be granted anywhere. "persistent" flags survive into the next loop.
+    let FLAG_DEFINITIONS = {};
+    // Flag descriptions for AI context (Shared Knowledge)
+    let FLAG_DESCRIPTIONS = {};
+
+    // Item definitions keyed by item id (loaded from ITEMS_URL). "icon" is an image in
+    // assets/images ("glyph" is shown when there is none); "starting" items are handed out at
+    // the start of every loop; "grantableWith" works like it does for flags.
+    let ITEMS = {};
+
+    // NPC definitions keyed by NPC type (loaded from NPCS_URL), see NPC Registry
+    let NPCS = {};
 
     // ============================================
     // Game State
     // ============================================
     let worldState = null;
+    let metaState = null;
     let scenes = [];
+    let scenesLoaded = false;  // false when running on getFallbackScenes()
     let isTransitioning = false;
     let isStreaming = false;
     let currentAbortController = null;  // For cancelling ongoing requests
@@ -111,12 +118,13 @@
     async function init() {
         cacheDOMElements();
         bindEvents();
-        await loadScenes();
+        await loadContent();
         loadOrCreateState();
         initAudio();
         renderState();
         renderThoughts();
         showScene(worldState.currentSceneId);
+        setInterval(tickEventClock, EVENT_CLOCK_MS);
 
         // Restore recent dialogue for context (filter by current NPC) on reload
         // Restore recent dialogue for context (match current NPC) on reload
@@ -158,6 +166,7 @@
         DOM.statNoise = document.getElementById('stat-noise');
         DOM.statTrust = document.getElementById('stat-trust');
         DOM.statAwareness = document.getElementById('stat-awareness');
+        DOM.statDisposition = document.getElementById('stat-disposition');
         DOM.backgroundLayer = document.getElementById('background-layer');
         DOM.npcLayer = document.getElementById('npc-layer');
         DOM.sceneTitle = document.getElementById('scene-title');
@@ -179,6 +188,23 @@
         DOM.historyContent = document.getElementById('history-content');
         DOM.btnCloseHistory = document.getElementById('btn-close-history');
         DOM.btnHistory = document.getElementById('btn-history');
+        DOM.btnSaves = document.getElementById('btn-saves');
+        DOM.savesOverlay = document.getElementById('saves-overlay');
+        DOM.savesContent = document.getElementById('saves-content');
+        DOM.btnCloseSaves = document.getElementById('btn-close-saves');
+        DOM.btnEndings = document.getElementById('btn-endings');
+        DOM.endingsOverlay = document.getElementById('endings-overlay');
+        DOM.endingsContent = document.getElementById('endings-content');
+        DOM.btnCloseEndings = document.getElementById('btn-close-endings');
+        DOM.btnInventory = document.getElementById('btn-inventory');
+        DOM.inventoryOverlay = document.getElementById('inventory-overlay');
+        DOM.inventoryContent = document.getElementById('inventory-content');
+        DOM.btnCloseInventory = document.getElementById('btn-close-inventory');
+        // The prompt debug button is in the page but hidden unless CONFIG.DEBUG_PROMPT is on
+        DOM.btnPromptDebug = document.getElementById('btn-prompt-debug');
+        DOM.promptOverlay = document.getElementById('prompt-overlay');
+        DOM.promptContent = document.getElementById('prompt-content');
+        DOM.btnClosePrompt = document.getElementById('btn-close-prompt');
         DOM.bgm = document.getElementById('bgm');
         DOM.btnBgm = document.getElementById('btn-bgm');
         DOM.btnBgmMobile = document.getElementById('btn-bgm-mobile');
@@ -229,6 +255,32 @@
         DOM.btnHistory.addEventListener('click', () => toggleHistory(true));
         DOM.btnCloseHistory.addEventListener('click', () => toggleHistory(false));
 
+        // Panels are optional: a page without their markup (see README "Page Markup") just lacks them
+        // Save Slot Events
+        if (DOM.btnSaves && DOM.savesOverlay) {
+            DOM.btnSaves.addEventListener('click', () => toggleSaves(true));
+            if (DOM.btnCloseSaves) DOM.btnCloseSaves.addEventListener('click', () => toggleSaves(false));
+        }
+
+        // Endings Gallery Events
+        if (DOM.btnEndings && DOM.endingsOverlay) {
+            DOM.btnEndings.addEventListener('click', () => toggleEndingsGallery(true));
+            if (DOM.btnCloseEndings) DOM.btnCloseEndings.addEventListener('click', () => toggleEndingsGallery(false));
+        }
+
+        // Inventory Events
+        if (DOM.btnInventory && DOM.inventoryOverlay) {
+            DOM.btnInventory.addEventListener('click', () => toggleInventory(true));
+            if (DOM.btnCloseInventory) DOM.btnCloseInventory.addEventListener('click', () => toggleInventory(false));
+        }
+
+        // Prompt Debug Events
+        if (CONFIG.DEBUG_PROMPT && DOM.btnPromptDebug && DOM.promptOverlay) {
+            DOM.btnPromptDebug.hidden = false;
+            DOM.btnPromptDebug.addEventListener('click', () => togglePromptDebug(true));
+            if (DOM.btnClosePrompt) DOM.btnClosePrompt.addEventListener('click', () => togglePromptDebug(false));
+        }
+
         // BGM Events
         DOM.btnBgm.addEventListener('click', toggleBgm);
         if (DOM.btnBgmMobile) {
@@ -263,18 +315,64 @@
         }
     }
 
-    async function loadScenes() {
+    async function loadContent() {
+        const [loadedScenes, loadedEndings, loadedThoughts, loadedFlags, loadedItems, loadedNpcs] = await Promise.all([
+            fetchContent(SCENES_URL, 'scenes'),
+            fetchContent(ENDINGS_URL, 'endings'),
+            fetchContent(THOUGHTS_URL, 'thoughts'),
+            fetchContent(FLAGS_URL, 'flags'),
+            fetchContent(ITEMS_URL, 'items'),
+            fetchContent(NPCS_URL, 'npcs')
+        ]);
+
+        scenes = loadedScenes || getFallbackScenes();
+        scenesLoaded = !!loadedScenes;
+        ENDINGS = indexEndings(loadedEndings || getFallbackEndings());
+        THOUGHTS = loadedThoughts || [];
+        FLAG_DEFINITIONS = {};
+        FLAG_DESCRIPTIONS = {};
+        (loadedFlags || []).forEach(flag => {
+            if (!flag || !flag.id) return;
+            FLAG_DEFINITIONS[flag.id] = flag;
+            FLAG_DESCRIPTIONS[flag.id] = flag.description;
+        });
+        ITEMS = {};
+        (loadedItems || []).forEach(item => {
+            if (item && item.id) ITEMS[item.id] = item;
+        });
+        NPCS = {};
+        (loadedNpcs || []).forEach(npc => {
+            if (npc && npc.id) NPCS[npc.id] = npc;
+        });
+        LOCATIONS = buildLocations();
+    }
+
+    async function fetchContent(url, label) {
         try {
-            const response = await fetch(SCENES_URL);
-            if (!response.ok) throw new Error('Failed to load scenes');
-            scenes = await response.json();
-            console.log(`Loaded ${scenes.length} scenes`);
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`Failed to load ${label}`);
+            const data = await response.json();
+            if (!Array.isArray(data)) throw new Error(`Invalid ${label} file: expected an array`);
+            console.log(`Loaded ${data.length} ${label}`);
+            return data;
         } catch (error) {
-            console.error('Error loading scenes:', error);
-            scenes = getFallbackScenes();
+            console.error(`Error loading ${label}:`, error);
+            return null;
         }
     }
 
+    function indexEndings(list) {
+        const map = {};
+        list.forEach(ending => {
+            if (ending && ending.id) map[ending.id] = ending;
+        });
+        // Endings triggered directly by the engine must always exist
+        getFallbackEndings().forEach(ending => {
+            if (!map[ending.id]) map[ending.id] = ending;
+        });
+        return map;
+    }
+
     // ============================================
     // Audio System
     // ============================================
@@ -422,15 +520,20 @@
             sceneTitle: sceneTitle || '未知场景',
             npcName: npcName || '',
             npcType: contextNpc,
+            loop: worldState.loop,
             timestamp: Date.now()
         };
 
         if (!worldState.dialogHistory) worldState.dialogHistory = [];
         worldState.dialogHistory.push(entry);
 
-        // Limit history size to prevent save bloat
+        // Limit history size to prevent save bloat; dialogue that was never summarized is kept as a local note
         if (worldState.dialogHistory.length > 50) {
-            worldState.dialogHistory.shift();
+            const dropped = worldState.dialogHistory.shift();
+            if (isDialogueEntry(dropped) && !dropped.summarized) {
+                const note = getMemoryNote(dropped.npcType, dropped.loop);
+                writeMemoryNote(dropped.npcType, dropped.loop, summarizeLocally(dropped.npcType, note?.text, [dropped]), [dropped]);
+            }
         }
         saveState();
     }
@@ -483,38 +586,355 @@
         });
     }
 
+    // ============================================
+    // Conversation Memory
+    // ============================================
+    // Older dialogue with each NPC is folded into one compact note per NPC and loop
+    // (worldState.memory), so prompts carry a summary plus the latest turns verbatim.
+    // The model writes the notes; when that request fails the lines are clipped locally instead.
+    const MEMORY_RECENT_TURNS = 6;  // Newest messages per NPC that are never summarized
+    const MEMORY_CHUNK = 6;  // Older messages that have to pile up before a summary is requested
+    const MEMORY_NOTE_CHARS = 80;  // Matches the narrative length the worker's JSON mode asks for
+    const MEMORY_TOKEN_BUDGET = 900;  // Notes plus recent turns sent with each prompt
+    const memoryPending = new Set();  // NPCs with a summary request in flight
+
+    const isDialogueEntry = (entry) => entry.role === 'user' || entry.role === 'npc';
+
+    // Rough size for budgeting: a CJK character is about one token, other text about four characters per token
+    function estimateTokens(text) {
+        const cjk = (text.match(/[\u3000-\u9fff\uff00-\uffef]/g) || []).length;
+        return cjk + Math.ceil((text.length - cjk) / 4);
+    }
+
+    function getMemoryNote(npcType, loop) {
+        return worldState.memory.find(note => note.npcType === npcType && note.loop === loop);
+    }
+
+    function writeMemoryNote(npcType, loop, text, entries) {
+        const note = getMemoryNote(npcType, loop);
+        if (note) {
+            note.text = text;
+            note.turns += entries.length;
+        } else {
+            worldState.memory.push({ npcType, loop, text, turns: entries.length });
+        }
+        entries.forEach(entry => { entry.summarized = true; });
+    }
+
+    function getPendingDialogue(npcType) {
+        return worldState.dialogHistory.filter(entry => isDialogueEntry(entry) && entry.npcType === npcType && !entry.summarized);
+    }
+
+    // Dialogue due for a summary, grouped by loop: everything from earlier loops, and the current
+    // loop's messages behind the recent window once MEMORY_CHUNK of them have piled up
+    function getMemoryBacklog(npcType) {
+        const pending = getPendingDialogue(npcType);
+        const older = pending.slice(0, Math.max(0, pending.length - MEMORY_RECENT_TURNS));
+        const byLoop = new Map();
+        pending
+            .filter(entry => entry.loop < worldState.loop || older.includes(entry))
+            .forEach(entry => {
+                if (!byLoop.has(entry.loop)) byLoop.set(entry.loop, []);
+                byLoop.get(entry.loop).push(entry);
+            });
+        return [...byLoop].filter(([loop, entries]) => loop < worldState.loop || entries.length >= MEMORY_CHUNK);
+    }
+
+    // Runs after each NPC reply; at most one summary request per NPC at a time
+    async function compactMemory(npcType) {
+        if (memoryPending.has(npcType)) return;
+        memoryPending.add(npcType);
+        const history = worldState.dialogHistory;
+        try {
+            for (const [loop, entries] of getMemoryBacklog(npcType)) {
+                const previous = getMemoryNote(npcType, loop)?.text;
+                const text = await summarizeDialogue(npcType, previous, entries);
+                if (worldState.dialogHistory !== history) return;  // A save was loaded or a new game started meanwhile
+                writeMemoryNote(npcType, loop, text, entries);
+                saveState();
+            }
+        } finally {
+            memoryPending.delete(npcType);
+        }
+    }
+
+    async function summarizeDialogue(npcType, previous, entries) {
+        try {
+            // The summary instruction is written by the server (see shared/prompt-builder.mjs)
+            const response = await fetch(CONFIG.API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    kind: 'summary',
+                    model: CONFIG.MODEL,
+                    turn: {
+                        npcType,
+                        previous: previous || '',
+                        lines: entries.map(entry => ({ role: entry.role, text: entry.text }))
+                    }
+                })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            const summary = extractDisplayNarrative(data.choices?.[0]?.message?.content || '');
+            if (!summary) throw new Error('empty summary');
+            return [...summary].slice(0, MEMORY_NOTE_CHARS).join('');
+        } catch (e) {
+            console.warn(`[memory] summary for ${npcType} failed (${e.message}), keeping a clipped note`);
+            return summarizeLocally(npcType, previous, entries);
+        }
+    }
+
+    // Fallback note: the newest lines, clipped, after whatever the previous note said
+    function summarizeLocally(npcType, previous, entries) {
+        const npcLabel = getNpcLabel(npcType) || '旁白';
+        const lines = entries.map(entry => `${entry.role === 'user' ? '玩家' : npcLabel}：${[...entry.text].slice(0, 20).join('')}`);
+        const text = [previous, ...lines].filter(Boolean).join('；');
+        const chars = [...text];
+        return chars.length > MEMORY_NOTE_CHARS ? `…${chars.slice(-MEMORY_NOTE_CHARS).join('')}` : text;
+    }
+
+    // Notes and verbatim turns for the prompt, newest first until MEMORY_TOKEN_BUDGET is spent.
+    // The message being answered is already in the history and is sent separately, so it is skipped.
+    function recallMemory(npcType, userText) {
+        let budget = MEMORY_TOKEN_BUDGET;
+        const pending = getPendingDialogue(npcType);
+        const last = pending[pending.length - 1];
+        if (last && last.role === 'user' && last.text === userText) pending.pop();
+
+        const recent = [];
+        for (const entry of pending.reverse()) {
+            const cost = estimateTokens(entry.text);
+            if (cost > budget && recent.length > 0) break;
+            budget -= cost;
+            recent.unshift(entry);
+        }
+
+        const notes = [];
+        const ownNotes = worldState.memory
+            .filter(note => note.npcType === npcType)
+            .sort((a, b) => b.loop - a.loop);
+        for (const note of ownNotes) {
+            const cost = estimateTokens(note.text);
+            if (cost > budget) break;
+            budget -= cost;
+            notes.unshift(note);
+        }
+        return { notes, recent };
+    }
+
     // ============================================
     // State Management
     // ============================================
+    // Ordered save migrations: SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1.
+    // Saves written before saveVersion existed count as version 0.
+    // Stats stored under the names the status bar shows them by (stat-stability etc.)
+    const LEGACY_STAT_KEYS = {
+        stability: 'train_stability',
+        noise: 'reality_noise',
+        trust: 'inspector_trust',
+        awareness: 'anomaly_awareness'
+    };
+
+    // Move a value to its new key; a value already under the new key wins
+    function renameStateKey(state, from, to) {
+        if (!(from in state)) return;
+        if (!(to in state)) state[to] = state[from];
+        delete state[from];
+    }
+
+    const SAVE_MIGRATIONS = [
+        // 0 -> 1: stat names, the dialogHistory entry shape, the note as an item, and the state
+        // added since (world events, the scene director's trail, NPC dispositions)
+        (state) => {
+            const defaults = createDefaultState();
+            for (const [from, to] of Object.entries(LEGACY_STAT_KEYS)) renameStateKey(state, from, to);
+            state.flags = isPlainObject(state.flags) ? state.flags : {};
+            state.playedScenes = Array.isArray(state.playedScenes) ? state.playedScenes : [];
+            state.dialogHistory = (Array.isArray(state.dialogHistory) ? state.dialogHistory : [])
+                .filter(entry => entry && typeof entry.text === 'string')
+                .map(entry => ({
+                    role: entry.role || 'desc',
+                    text: entry.text,
+                    sceneTitle: entry.sceneTitle || '未知场景',
+                    npcName: entry.npcName || '',
+                    npcType: entry.npcType || 'none',
+                    timestamp: entry.timestamp || 0
+                }));
+            // The note was the has_note flag
+            state.inventory = defaults.inventory;
+            if (state.flags.has_note) state.inventory.push('note');
+            delete state.flags.has_note;
+            // The event clock starts now, as if the loaded scene began the loop
+            state.events = defaults.events;
+            // The current scene is the trail's first entry, so stat trends are measured from the load
+            const stats = {};
+            TRACKED_STATS.forEach(stat => { stats[stat] = typeof state[stat] === 'number' ? state[stat] : defaults[stat]; });
+            state.sceneTrail = [{ id: typeof state.currentSceneId === 'string' ? state.currentSceneId : defaults.currentSceneId, stats }];
+            // Each NPC starts from its npcs.json disposition; linked axes stay in their stats
+            state.dispositions = defaults.dispositions;
+            return state;
+        }
+    ];
+
+    function createDefaultState() {
+        const state = JSON.parse(JSON.stringify(DEFAULT_STATE));
+        state.inventory = getStartingItems();
+        state.dispositions = getInitialDispositions();
+        return state;
+    }
+
+    // Bring any saved state up to SAVE_VERSION; throws if it can't be used
+    function migrateState(saved) {
+        if (!isPlainObject(saved)) throw new Error('save is not an object');
+
+        let version = Number.isInteger(saved.saveVersion) ? saved.saveVersion : 0;
+        if (version > SAVE_VERSION) throw new Error(`save version ${version} is newer than ${SAVE_VERSION}`);
+
+        let state = JSON.parse(JSON.stringify(saved));
+        for (; version < SAVE_VERSION; version++) {
+            state = SAVE_MIGRATIONS[version](state);
+        }
+
+        // Fill in missing keys and reset values whose type no longer matches the defaults
+        const defaults = createDefaultState();
+        for (const [key, defaultValue] of Object.entries(defaults)) {
+            const valid = key in state && (Array.isArray(defaultValue)
+                ? Array.isArray(state[key])
+                : typeof state[key] === typeof defaultValue);
+            if (!valid) {
+                if (key in state) console.warn(`Save field "${key}" had the wrong type, reset to default`);
+                state[key] = defaultValue;
+            }
+        }
+        state.inventory = [...new Set(state.inventory.filter(itemId => typeof itemId === 'string'))];
+        for (const [npcType, initial] of Object.entries(defaults.dispositions)) {
+            const saved = isPlainObject(state.dispositions[npcType]) ? state.dispositions[npcType] : {};
+            for (const axis of Object.keys(initial)) {
+                if (typeof saved[axis] !== 'number') saved[axis] = initial[axis];
+            }
+            state.dispositions[npcType] = saved;
+        }
+        state.sceneTrail = state.sceneTrail.filter(entry => isPlainObject(entry) && isPlainObject(entry.stats));
+        // Entries from before loops were recorded are filed under the first loop for the memory notes
+        state.dialogHistory.forEach(entry => { if (!Number.isInteger(entry.loop)) entry.loop = 1; });
+        state.memory = state.memory.filter(note => isPlainObject(note) && typeof note.npcType === 'string'
+            && Number.isInteger(note.loop) && typeof note.text === 'string');
+        for (const [key, defaultValue] of Object.entries(defaults.events)) {
+            const value = state.events[key];
+            const valid = defaultValue === null ? value === null || typeof value === 'number'
+                : isPlainObject(defaultValue) ? isPlainObject(value) : typeof value === typeof defaultValue;
+            if (!valid) state.events[key] = defaultValue;
+        }
+        state.saveVersion = SAVE_VERSION;
+
+        repairSceneReferences(state);
+        return state;
+    }
+
+    // Drop references to scenes that no longer exist in scenes.json
+    function repairSceneReferences(state) {
+        if (!scenesLoaded) return;  // Don't rewrite saves against the fallback scene list
+        const sceneIds = new Set(scenes.map(scene => scene.id));
+
+        const playedScenes = state.playedScenes.filter(id => sceneIds.has(id));
+        if (playedScenes.length !== state.playedScenes.length) {
+            console.warn(`Removed ${state.playedScenes.length - playedScenes.length} unknown scene(s) from playedScenes`);
+            state.playedScenes = playedScenes;
+        }
+        if (!sceneIds.has(state.currentSceneId)) {
+            console.warn(`Scene "${state.currentSceneId}" no longer exists, returning to start`);
+            state.currentSceneId = 'start';
+            state.currentNpcType = 'none';
+        }
+    }
+
+    // Move an unusable save from `storageKey` to its own key instead of overwriting it.
+    // The original is cleared once copied, so a reload doesn't quarantine it again.
+    function quarantineSave(storageKey, raw, reason) {
+        const key = CORRUPT_SAVE_PREFIX + Date.now();
+        try {
+            localStorage.setItem(key, raw);
+            localStorage.removeItem(storageKey);
+            console.warn(`Save could not be loaded (${reason}), kept as ${key}`);
+        } catch (e) {
+            console.warn(`Save could not be loaded (${reason}) and could not be quarantined`, e);
+        }
+    }
+
     function loadOrCreateState() {
+        worldState = createDefaultState();
+        metaState = loadMeta();
         const saved = localStorage.getItem(STORAGE_KEY);
-        if (saved) {
-            try {
-                worldState = JSON.parse(saved);
-                worldState = { ...DEFAULT_STATE, ...worldState };
-                console.log('Loaded saved state, loop:', worldState.loop);
-            } catch (e) {
-                console.warn('Failed to parse save, creating new state');
-                worldState = { ...DEFAULT_STATE };
-            }
-        } else {
-            worldState = { ...DEFAULT_STATE };
+        if (!saved) return;
+
+        try {
+            worldState = migrateState(JSON.parse(saved));
+            console.log('Loaded saved state, loop:', worldState.loop);
+        } catch (e) {
+            quarantineSave(STORAGE_KEY, saved, e.message);
+        }
+    }
+
+    function createDefaultMeta() {
+        return JSON.parse(JSON.stringify(DEFAULT_META));
+    }
+
+    // Keep what is usable from a stored meta layer
+    function normalizeMeta(saved) {
+        const meta = createDefaultMeta();
+        if (!isPlainObject(saved)) return meta;
+        if (isPlainObject(saved.endings)) meta.endings = saved.endings;
+        if (Array.isArray(saved.runs)) meta.runs = saved.runs;
+        if (Array.isArray(saved.echoes)) meta.echoes = saved.echoes;
+        return meta;
+    }
+
+    function loadMeta() {
+        const raw = localStorage.getItem(META_KEY);
+        if (!raw) return createDefaultMeta();
+        try {
+            return normalizeMeta(JSON.parse(raw));
+        } catch (e) {
+            quarantineSave(META_KEY, raw, `meta: ${e.message}`);
+            return createDefaultMeta();
+        }
+    }
+
+    function saveMeta() {
+        try {
+            localStorage.setItem(META_KEY, JSON.stringify(metaState));
+        } catch (e) {
+            console.warn('Failed to save the meta layer:', e);
         }
     }
 
     function saveState() {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(worldState));
+        saveMeta();
     }
 
     function startNewGame() {
         console.log("startNewGame triggered");
-        if (!confirm('确定要开始新游戏吗？当前进度将丢失。')) return;
+        if (!confirm('确定要开始新游戏吗？当前进度会保留在自动存档中。')) return;
 
-        worldState = { ...DEFAULT_STATE };
-        worldState.flags = {};
-        worldState.playedScenes = [];
-        worldState.dialogHistory = [];
+        writeSlot(AUTOSAVE_SLOT, '自动存档');
+        resetGame();
+    }
+
+    function resetGame(keepCollection = true) {
+        worldState = createDefaultState();
+        // The ending collection and run history outlive a new game; echoes belong to the old run
+        if (keepCollection) {
+            metaState.echoes = [];
+        } else {
+            metaState = createDefaultMeta();
+        }
+        enterState();
+    }
 
+    // Show the current worldState from scratch (new game, loaded or imported save)
+    function enterState() {
         // Reset Location History
         currentLocationIndex = 0;
         LOCATIONS.forEach(loc => loc.savedHTML = null);
@@ -523,16 +943,232 @@
         hideEnding();
         renderState();
         renderThoughts();
-        showScene('start');
+        showScene(worldState.currentSceneId);
     }
 
     function clearSaveWithConfirm() {
-        if (confirm('确定要清空所有存档吗？这将删除所有进度和跨局记忆。')) {
+        if (confirm('确定要清空所有存档吗？这将删除所有进度、存档位和跨局记忆。')) {
             localStorage.removeItem(STORAGE_KEY);
-            startNewGame();
+            localStorage.removeItem(META_KEY);
+            [AUTOSAVE_SLOT, ...MANUAL_SLOTS].forEach(slotId => localStorage.removeItem(SLOT_KEY_PREFIX + slotId));
+            resetGame(false);
+        }
+    }
+
+    // ============================================
+    // Save Slots
+    // ============================================
+    // The live game is always in STORAGE_KEY. Slots are snapshots of it with metadata:
+    // one autosave (written on every scene change and before a new game) and MANUAL_SLOTS.
+    function buildSaveMetadata(state) {
+        const scene = scenes.find(s => s.id === state.currentSceneId);
+        return {
+            loop: state.loop,
+            sceneId: state.currentSceneId,
+            sceneTitle: scene ? scene.title : state.currentSceneId,
+            turnCount: state.turnCount,
+            stats: {
+                train_stability: state.train_stability,
+                reality_noise: state.reality_noise,
+                inspector_trust: state.inspector_trust,
+                anomaly_awareness: state.anomaly_awareness
+            }
+        };
+    }
+
+    function writeSlot(slotId, name) {
+        const meta = buildSaveMetadata(worldState);
+        const slot = {
+            name: name || `循环 #${meta.loop} · ${meta.sceneTitle}`,
+            savedAt: Date.now(),
+            meta,
+            state: worldState
+        };
+        try {
+            localStorage.setItem(SLOT_KEY_PREFIX + slotId, JSON.stringify(slot));
+        } catch (e) {
+            console.warn(`Failed to write save slot ${slotId}:`, e);
+        }
+    }
+
+    function readSlot(slotId) {
+        const raw = localStorage.getItem(SLOT_KEY_PREFIX + slotId);
+        if (!raw) return null;
+        try {
+            const slot = JSON.parse(raw);
+            return slot && slot.state ? slot : null;
+        } catch (e) {
+            console.warn(`Save slot ${slotId} is unreadable`);
+            return null;
+        }
+    }
+
+    function autosave() {
+        writeSlot(AUTOSAVE_SLOT, '自动存档');
+    }
+
+    function saveToSlot(slotId) {
+        const existing = readSlot(slotId);
+        if (existing && !confirm(`覆盖存档「${existing.name}」？`)) return;
+
+        const meta = buildSaveMetadata(worldState);
+        const name = prompt('存档名称', existing ? existing.name : `循环 #${meta.loop} · ${meta.sceneTitle}`);
+        if (name === null) return;
+        writeSlot(slotId, name.trim());
+        renderSaves();
+    }
+
+    function loadSlot(slotId) {
+        const slot = readSlot(slotId);
+        if (!slot) return;
+        if (!confirm(`读取存档「${slot.name}」？当前进度会保留在自动存档中。`)) return;
+        if (slotId !== AUTOSAVE_SLOT) autosave();
+        loadStateSnapshot(slot.state);
+    }
+
+    function deleteSlot(slotId) {
+        const slot = readSlot(slotId);
+        if (!slot || !confirm(`删除存档「${slot.name}」？`)) return;
+        localStorage.removeItem(SLOT_KEY_PREFIX + slotId);
+        renderSaves();
+    }
+
+    function loadStateSnapshot(state) {
+        try {
+            worldState = migrateState(state);
+        } catch (e) {
+            alert(`无法读取存档：${e.message}`);
+            return;
+        }
+        toggleSaves(false);
+        enterState();
+    }
+
+    // Export / import as a versioned JSON file, e.g. to share a bug reproduction
+    function exportSave(slotId) {
+        const slot = slotId ? readSlot(slotId) : {
+            name: '当前进度',
+            savedAt: Date.now(),
+            meta: buildSaveMetadata(worldState),
+            state: worldState
+        };
+        if (!slot) return;
+
+        const file = {
+            format: SAVE_FILE_FORMAT,
+            version: SAVE_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            slot
+        };
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `nighttrain-loop${slot.meta.loop}-${slot.meta.sceneId}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function importSave(file) {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                alert('无法读取存档文件：不是有效的 JSON。');
+                return;
+            }
+            if (!data || data.format !== SAVE_FILE_FORMAT || !data.slot || !data.slot.state) {
+                alert('无法读取存档文件：格式不正确。');
+                return;
+            }
+            if (data.version > SAVE_FILE_VERSION) {
+                alert('无法读取存档文件：来自更新版本的游戏。');
+                return;
+            }
+            if (!confirm(`读取导入的存档「${data.slot.name}」？当前进度会保留在自动存档中。`)) return;
+            autosave();
+            loadStateSnapshot(data.slot.state);
+        };
+        reader.readAsText(file);
+    }
+
+    function toggleSaves(show) {
+        if (!DOM.savesOverlay || !DOM.savesContent) return;
+        if (show) {
+            renderSaves();
+            DOM.savesOverlay.classList.add('active');
+        } else {
+            DOM.savesOverlay.classList.remove('active');
         }
     }
 
+    function renderSaves() {
+        const content = DOM.savesContent;
+        content.innerHTML = '';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'save-toolbar';
+        toolbar.appendChild(createActionButton('导出当前进度', () => exportSave(null)));
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => importSave(fileInput.files[0]));
+        toolbar.appendChild(fileInput);
+        toolbar.appendChild(createActionButton('导入存档文件', () => fileInput.click()));
+        content.appendChild(toolbar);
+
+        [AUTOSAVE_SLOT, ...MANUAL_SLOTS].forEach(slotId => {
+            const slot = readSlot(slotId);
+            const div = document.createElement('div');
+            div.className = 'history-item save-slot';
+
+            const title = document.createElement('span');
+            title.className = 'history-scene-title';
+            title.textContent = slotId === AUTOSAVE_SLOT ? '自动存档' : `存档位 ${slotId}`;
+            div.appendChild(title);
+
+            const info = document.createElement('div');
+            info.className = 'history-text';
+            if (slot) {
+                // Metadata is rebuilt from the state so imported files can't inject markup
+                const meta = buildSaveMetadata(slot.state);
+                const lines = [
+                    slot.name,
+                    `循环 #${meta.loop} | ${meta.sceneTitle} | 回合 ${meta.turnCount}`,
+                    `稳定度 ${meta.stats.train_stability} · 噪声 ${meta.stats.reality_noise} · 信任 ${meta.stats.inspector_trust} · 觉察 ${meta.stats.anomaly_awareness}`
+                ];
+                lines.forEach((line, i) => {
+                    const row = document.createElement(i === 0 ? 'strong' : 'div');
+                    row.textContent = line;
+                    info.appendChild(row);
+                });
+                const time = document.createElement('span');
+                time.className = 'save-time';
+                time.textContent = new Date(slot.savedAt).toLocaleString('zh-CN');
+                info.appendChild(time);
+            } else {
+                info.textContent = '空';
+            }
+            div.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'save-actions';
+            if (slotId !== AUTOSAVE_SLOT) actions.appendChild(createActionButton('保存', () => saveToSlot(slotId)));
+            if (slot) {
+                actions.appendChild(createActionButton('读取', () => loadSlot(slotId)));
+                actions.appendChild(createActionButton('导出', () => exportSave(slotId)));
+                actions.appendChild(createActionButton('删除', () => deleteSlot(slotId), 'btn-danger'));
+            }
+            div.appendChild(actions);
+            content.appendChild(div);
+        });
+    }
+
     function startNextLoop() {
         worldState.loop += 1;
         worldState.train_stability = randomInt(75, 85);
@@ -544,6 +1180,12 @@
         worldState.currentNpcType = 'none'; // Reset NPC type for new loop
         worldState.sceneCount = 0;
         worldState.turnCount = 0;  // Reset turn count for new loop
+        worldState.flags = getPersistentFlags();
+        worldState.flagsEarned = [];
+        worldState.inventory = getStartingItems();
+        worldState.dispositions = getLoopDispositions();
+        worldState.events = createDefaultState().events;
+        worldState.sceneTrail = [];
 
         // Reset Location History
         currentLocationIndex = 0;
@@ -556,6 +1198,87 @@
         showScene('start');
     }
 
+    // ============================================
+    // Meta Progression
+    // ============================================
+    // What survives a loop: the endings reached, flags marked "persistent" in flags.json,
+    // and a capped list of echoes (key moments) that templates and the prompt can refer to.
+    const MAX_ECHOES = 30;
+
+    function getPersistentFlags() {
+        const kept = {};
+        for (const [flagName, value] of Object.entries(worldState.flags)) {
+            if (FLAG_DEFINITIONS[flagName] && FLAG_DEFINITIONS[flagName].persistent) kept[flagName] = value;
+        }
+        return kept;
+    }
+
+    // Single entry point for flag changes so persistent flags leave an echo
+    function setFlag(flagName, value) {
+        if (!value) {
+            delete worldState.flags[flagName];
+            return;
+        }
+        const isNew = !worldState.flags[flagName];
+        worldState.flags[flagName] = value;
+        if (isNew && !worldState.flagsEarned.includes(flagName)) worldState.flagsEarned.push(flagName);
+        if (isNew && FLAG_DEFINITIONS[flagName] && FLAG_DEFINITIONS[flagName].persistent) {
+            addEcho('flag', flagName, FLAG_DESCRIPTIONS[flagName]);
+        }
+    }
+
+    function applyFlags(flags) {
+        for (const [flagName, value] of Object.entries(flags || {})) setFlag(flagName, value);
+    }
+
+    function addEcho(kind, id, text) {
+        const echoes = metaState.echoes;
+        echoes.push({ kind, id, text, loop: worldState.loop });
+        if (echoes.length > MAX_ECHOES) echoes.splice(0, echoes.length - MAX_ECHOES);
+    }
+
+    const MAX_RUNS = 30;
+
+    function recordEnding(endingId, summary) {
+        const record = metaState.endings[endingId] || { firstLoop: worldState.loop, count: 0 };
+        record.lastLoop = worldState.loop;
+        record.count += 1;
+        metaState.endings[endingId] = record;
+
+        const runs = metaState.runs;
+        runs.push(summary);
+        if (runs.length > MAX_RUNS) runs.splice(0, runs.length - MAX_RUNS);
+
+        addEcho('ending', endingId, `第 ${worldState.loop} 次循环以「${ENDINGS[endingId].title}」告终。`);
+    }
+
+    function buildRunSummary(endingId) {
+        return {
+            endingId,
+            loop: worldState.loop,
+            endedAt: Date.now(),
+            scenesVisited: worldState.playedScenes.length,
+            sceneCount: worldState.sceneCount,
+            turnCount: worldState.turnCount,
+            flagsEarned: worldState.flagsEarned.slice(),
+            stats: {
+                train_stability: worldState.train_stability,
+                reality_noise: worldState.reality_noise,
+                inspector_trust: worldState.inspector_trust,
+                anomaly_awareness: worldState.anomaly_awareness
+            }
+        };
+    }
+
+    function hasSeenEnding(endingId) {
+        return !!metaState.endings[endingId];
+    }
+
+    // Echoes from loops before the current one
+    function getPastEchoes() {
+        return metaState.echoes.filter(echo => echo.loop < worldState.loop);
+    }
+
     // ============================================
     // Scene System
     // ============================================
@@ -578,13 +1301,14 @@
         if (!worldState.playedScenes.includes(sceneId)) {
             worldState.playedScenes.push(sceneId);
         }
+        recordSceneVisit(sceneId);
 
         DOM.sceneText.classList.add('fade-out');
         DOM.choicesContainer.classList.add('fade-out');
 
         setTimeout(() => {
             updateBackground(scene.background);
-            updateNPC(scene.npc, scene.npcSprite);
+            updateNPC(scene.npc, scene.npcSprite !== undefined ? scene.npcSprite : getNpcSprite(scene.npc, scene.id));
 
             const processedText = processText(scene.text);
 
@@ -602,19 +1326,13 @@
             DOM.choicesContainer.classList.remove('fade-out');
 
             saveState();
+            autosave();
             isTransitioning = false;
         }, 300);
     }
 
-    // Fixed locations for navigation (can revisit, preserves dialogue)
-    // Fixed locations for navigation (with separate dialogue history)
-    const LOCATIONS = [
-        { id: 'start', name: '车厢', bg: 'train_bg_2.png', npc: null, defaultSceneId: 'start', savedHTML: null },
-        { id: 'inspector', name: '检票员', bg: 'train_bg_2.png', npc: 'inspector_1.png', npcType: 'inspector', defaultSceneId: 'inspector_01', savedHTML: null },
-        { id: 'anomaly', name: '异常乘客', bg: 'train_bg_3.png', npc: 'anomaly_1.png', npcType: 'anomaly', defaultSceneId: 'anomaly_01', savedHTML: null },
-        { id: 'silent', name: '沉默乘客', bg: 'train_bg_2.png', npc: 'silent_passenger.png', npcType: 'silent', defaultSceneId: 'silent_01', savedHTML: null },
-        { id: 'corridor', name: '过道', bg: 'corridor_view.png', npc: null, defaultSceneId: 'corridor_01', savedHTML: null }
-    ];
+    // Fixed locations for navigation (with separate dialogue history), see buildLocations
+    let LOCATIONS = [];
     let currentLocationIndex = 0;
 
     // Helper to find and sync current location based on worldState
@@ -631,9 +1349,6 @@
         return false;
     }
 
-    // Random Events
-    const RANDOM_EVENTS = ['event_glitch', 'event_whisper'];
-
     // Navigate between fixed locations (preserves dialogue)
     function navigateScene(direction) {
         if (isTransitioning || isStreaming) return;
@@ -641,22 +1356,13 @@
 
         // 1. Sync index and save current dialogue
         // This ensures if we jumped to a location via dialogue, we save to the CORRECT place
-        if (!worldState.currentSceneId.startsWith('event_')) {
-            syncLocationIndex(); // IMPORTANT: Update index based on actual current scene
-            const currentLoc = LOCATIONS[currentLocationIndex];
-            if (currentLoc) {
-                currentLoc.savedHTML = DOM.sceneText.innerHTML;
-            }
-        }
+        saveLocationDialogue();
 
-        // 10% Chance for Random Event (skip if already in event)
-        if (Math.random() < 0.1) {
-            const eventId = RANDOM_EVENTS[randomInt(0, RANDOM_EVENTS.length - 1)];
-            if (!worldState.currentSceneId.startsWith('event_')) {
-                worldState.sceneCount++;
-                advanceToNextScene(eventId, true);
-                return;
-            }
+        // Scheduled world events may cut in before the move (see World Events)
+        const eventId = pollEvents('navigate');
+        if (eventId) {
+            triggerEvent(eventId);
+            return;
         }
 
         // Calculate new index
@@ -780,41 +1486,465 @@
         img.src = imgPath;
     }
 
+    // ============================================
+    // NPC Registry
+    // ============================================
+    // Everything about an NPC lives in npcs.json, so adding a passenger needs no engine change:
+    //   "id": "silent", "name": "沉默乘客", "gender": "女" (男 / 女 / 无)
+    //   "sprites": { "01": "..", "02": "..", "03": ".." }
+    //                                       per scene state (scene id suffix), falling back to 01
+    //   "home": { "background": "..", "name": ".." }, "defaultScene": "silent_01"
+    //                                       adds a navigation stop between the carriage and corridor
+    //   "speech": { "maxChars": 5 }          limits on what the NPC may say
+    // plus the disposition fields described under NPC Disposition. The "none" entry is the narrator.
+    // Personas are kept on the server (shared/prompts/personas.json) and never reach the browser.
+    const CARRIAGE_LOCATION = { id: 'start', name: '车厢', bg: 'train_bg_2.png', npc: null, defaultSceneId: 'start' };
+    const CORRIDOR_LOCATION = { id: 'corridor', name: '过道', bg: 'corridor_view.png', npc: null, defaultSceneId: 'corridor_01' };
+
+    function buildLocations() {
+        const homes = Object.values(NPCS)
+            .filter(npc => npc.home && npc.defaultScene)
+            .map(npc => ({
+                id: npc.id,
+                name: npc.home.name || npc.name,
+                bg: npc.home.background,
+                npc: getNpcSprite(npc.id, npc.defaultScene),
+                npcType: npc.id,
+                defaultSceneId: npc.defaultScene
+            }));
+        return [CARRIAGE_LOCATION, ...homes, CORRIDOR_LOCATION].map(loc => ({ ...loc, savedHTML: null }));
+    }
+
     function getNpcLabel(npcType) {
-        const labels = { inspector: '检票员', anomaly: '异常乘客', silent: '沉默乘客', none: '' };
-        return labels[npcType] !== undefined ? labels[npcType] : (npcType || '');
+        const npc = NPCS[npcType];
+        if (npc && typeof npc.name === 'string') return npc.name;
+        return npcType === 'none' ? '' : (npcType || '');
+    }
+
+    function getNpcGender(npcType) {
+        const npc = NPCS[npcType];
+        return npc && npc.gender ? npc.gender : '未知';
+    }
+
+    // Sprite for a scene state: inspector_02 uses sprites["02"], falling back to the "01" sprite
+    function getNpcSprite(npcType, sceneId) {
+        const sprites = NPCS[npcType] && NPCS[npcType].sprites;
+        if (!sprites) return null;
+        const suffix = (sceneId || '').match(/_(\d+)$/);
+        return (suffix && sprites[suffix[1]]) || sprites['01'] || null;
+    }
+
+    function getNpcSpeech(npcType) {
+        const npc = NPCS[npcType];
+        return npc && isPlainObject(npc.speech) ? npc.speech : {};
     }
 
+    // ============================================
+    // Text Templates
+    // ============================================
+    // Scene text is a small template language, parsed once per distinct string:
+    //   {loop} {reality_noise} {flags.saw_note}      interpolate a stat or flag
+    //   {if reality_noise>=40}..{elif item:note}..{else}..{/if}
+    //       expressions: comparisons (>= <= > < == !=) between stats/numbers, flag:name,
+    //       item:itemId, seen:endingId, bare stat or flag names, combined with not / and / or
+    //   {loop>=2:..}  {seen:detained:..}           inline conditionals (legacy shorthand)
+    //   {pick:a|b|c}                                variant chosen per loop (stable within a loop)
+    //   {npc} {npc:silent} {pronoun} {pronoun:silent}   NPC display name / 他·她
+    // Blocks nest freely. Syntax errors are reported to the console with their position.
+    const templateCache = new Map();
+
     function processText(text) {
         if (!text) return '...';
-        text = text.replace(/\{loop\}/g, worldState.loop);
-        text = text.replace(/\{loop>=(\d+):([^}]+)\}/g, (match, num, content) => {
-            return worldState.loop >= parseInt(num) ? content : '';
-        });
-        return text;
+        let template = templateCache.get(text);
+        if (!template) {
+            template = parseTemplate(text);
+            template.errors.forEach(error => reportTemplateError(text, error));
+            templateCache.set(text, template);
+        }
+        return renderTemplateNodes(template.nodes, { source: text, pickIndex: 0 });
     }
 
-    function renderChoices(choices) {
-        DOM.choicesContainer.innerHTML = '';
-        if (!choices || choices.length === 0) {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.textContent = '继续...';
-            btn.addEventListener('click', () => advanceToNextScene(null));
-            DOM.choicesContainer.appendChild(btn);
-            return;
-        }
-        choices.forEach(choice => {
-            const btn = document.createElement('button');
-            btn.className = 'choice-btn';
-            btn.innerHTML = `<span>${choice.label}</span>`;
-            btn.addEventListener('click', () => handleChoice(choice));
-            DOM.choicesContainer.appendChild(btn);
-        });
+    function parseTemplate(source) {
+        const parser = { source, pos: 0, errors: [] };
+        const nodes = [];
+        let result;
+        do {
+            result = parseTemplateSequence(parser, []);
+            nodes.push(...result.nodes);
+            // A stray {elif}/{else}/{/if} at the top level is reported and skipped
+            if (result.stop) templateError(parser, `unexpected {${result.stop.type === 'close' ? '/if' : result.stop.type}}`, result.stop.pos);
+        } while (result.stop);
+        return { nodes, errors: parser.errors };
     }
 
-    function handleChoice(choice) {
-        if (isTransitioning || isStreaming) return;
+    function templateError(parser, message, pos = parser.pos) {
+        parser.errors.push({ message, pos });
+    }
+
+    // Reads nodes until the end, one of `terminators` ('}' or '|') or an {elif}/{else}/{/if}
+    function parseTemplateSequence(parser, terminators) {
+        const nodes = [];
+        let text = '';
+        const flushText = () => {
+            if (text) nodes.push({ type: 'text', value: text });
+            text = '';
+        };
+
+        while (parser.pos < parser.source.length) {
+            const ch = parser.source[parser.pos];
+            if (terminators.includes(ch)) {
+                flushText();
+                return { nodes, terminator: ch };
+            }
+            if (ch !== '{') {
+                text += ch;
+                parser.pos++;
+                continue;
+            }
+
+            const start = parser.pos;
+            const tag = parseTemplateTag(parser);
+            if (!tag) {
+                // Not a template tag: keep the brace as plain text
+                text += '{';
+                parser.pos = start + 1;
+                continue;
+            }
+            flushText();
+            if (tag.type === 'elif' || tag.type === 'else' || tag.type === 'close') {
+                return { nodes, stop: { ...tag, pos: start } };
+            }
+            nodes.push(tag);
+        }
+        flushText();
+        return { nodes, terminator: null };
+    }
+
+    function parseTemplateTag(parser) {
+        const { source } = parser;
+        const start = parser.pos;
+        const head = source.slice(start + 1).match(/^(\/if|[A-Za-z_][\w.]*)/);
+        if (!head) {
+            templateError(parser, 'expected a tag name after "{"', start);
+            return null;
+        }
+        const word = head[1];
+        parser.pos = start + 1 + word.length;
+        const next = source[parser.pos];
+
+        switch (word) {
+            case 'if':
+            case 'elif': {
+                const expression = readUntil(parser, '}');
+                if (expression === null) return null;
+                const condition = parseTemplateExpression(parser, expression.trim(), start);
+                return word === 'elif' ? { type: 'elif', condition } : parseTemplateIf(parser, condition, start);
+            }
+            case 'else':
+            case '/if':
+                if (next !== '}') {
+                    templateError(parser, `expected "}" after {${word}`);
+                    return null;
+                }
+                parser.pos++;
+                return { type: word === 'else' ? 'else' : 'close' };
+            case 'pick': {
+                if (next !== ':') break;
+                parser.pos++;
+                const options = [];
+                let result;
+                do {
+                    result = parseTemplateSequence(parser, ['|', '}']);
+                    options.push(result.nodes);
+                    if (result.terminator) parser.pos++;
+                } while (result.terminator === '|');
+                if (result.terminator !== '}') templateError(parser, 'unclosed {pick:...}', start);
+                return { type: 'pick', options };
+            }
+            case 'seen': {
+                if (next !== ':') break;
+                parser.pos++;
+                const endingId = readUntil(parser, ':');
+                if (endingId === null) return null;
+                const condition = { type: 'seen', id: endingId.trim() };
+                return parseTemplateInline(parser, condition, start);
+            }
+            case 'npc':
+            case 'pronoun': {
+                let npcType = null;
+                if (next === ':') {
+                    parser.pos++;
+                    npcType = readUntil(parser, '}');
+                    if (npcType === null) return null;
+                } else if (next === '}') {
+                    parser.pos++;
+                } else {
+                    break;
+                }
+                return { type: word, npcType: npcType ? npcType.trim() : null };
+            }
+        }
+
+        if (next === '}') {
+            parser.pos++;
+            return { type: 'var', name: word };
+        }
+        // Inline conditional shorthand, e.g. {loop>=2:...}
+        if (/^[<>=!]/.test(next || '')) {
+            const rest = readUntil(parser, ':');
+            if (rest === null) return null;
+            const condition = parseTemplateExpression(parser, word + rest, start);
+            return parseTemplateInline(parser, condition, start);
+        }
+        templateError(parser, `unknown tag "{${word}"`, start);
+        return null;
+    }
+
+    // Consumes text up to (and including) `ch`; returns the text before it
+    function readUntil(parser, ch) {
+        const end = parser.source.indexOf(ch, parser.pos);
+        if (end === -1) {
+            templateError(parser, `missing "${ch}"`);
+            return null;
+        }
+        const text = parser.source.slice(parser.pos, end);
+        parser.pos = end + 1;
+        return text;
+    }
+
+    function parseTemplateIf(parser, condition, start) {
+        const branches = [];
+        let elseNodes = [];
+        let current = { condition, nodes: [] };
+
+        while (true) {
+            const result = parseTemplateSequence(parser, []);
+            current.nodes = result.nodes;
+            if (!result.stop) {
+                templateError(parser, 'unclosed {if}: missing {/if}', start);
+                branches.push(current);
+                break;
+            }
+            if (result.stop.type === 'elif') {
+                branches.push(current);
+                current = { condition: result.stop.condition, nodes: [] };
+            } else if (result.stop.type === 'else') {
+                branches.push(current);
+                const rest = parseTemplateSequence(parser, []);
+                elseNodes = rest.nodes;
+                if (!rest.stop || rest.stop.type !== 'close') templateError(parser, 'unclosed {else}: missing {/if}', start);
+                break;
+            } else {
+                branches.push(current);
+                break;
+            }
+        }
+        return { type: 'if', branches, elseNodes };
+    }
+
+    function parseTemplateInline(parser, condition, start) {
+        const result = parseTemplateSequence(parser, ['}']);
+        if (result.terminator === '}') parser.pos++;
+        else templateError(parser, 'unclosed inline conditional: missing "}"', start);
+        return { type: 'if', branches: [{ condition, nodes: result.nodes }], elseNodes: [] };
+    }
+
+    // Expression grammar: or := and (or and)*, and := unary (and unary)*,
+    // unary := not unary | operand (op operand)?
+    function parseTemplateExpression(parser, text, pos) {
+        const tokens = text.match(/>=|<=|==|!=|&&|\|\||[<>!]|-?\d+(?:\.\d+)?|[A-Za-z_][\w.]*(?::[\w.]+)?|\S/g) || [];
+        let index = 0;
+        const peek = () => tokens[index];
+        const fail = (message) => {
+            templateError(parser, `${message} in "${text}"`, pos);
+            return { type: 'literal', value: false };
+        };
+
+        const parseOperand = () => {
+            const token = tokens[index++];
+            if (token === undefined) return fail('missing operand');
+            if (/^-?\d/.test(token)) return { type: 'literal', value: Number(token) };
+            if (/^[A-Za-z_]/.test(token)) {
+                const [prefix, name] = token.split(':');
+                if (name !== undefined) {
+                    if (['flag', 'item', 'seen'].includes(prefix)) return { type: prefix, id: name };
+                    return fail(`unknown prefix "${prefix}:"`);
+                }
+                return { type: 'name', name: token };
+            }
+            return fail(`unexpected "${token}"`);
+        };
+        const parseUnary = () => {
+            if (peek() === 'not' || peek() === '!') {
+                index++;
+                return { type: 'not', operand: parseUnary() };
+            }
+            const left = parseOperand();
+            if (['>=', '<=', '>', '<', '==', '!='].includes(peek())) {
+                const op = tokens[index++];
+                return { type: 'compare', op, left, right: parseOperand() };
+            }
+            return left;
+        };
+        const parseAnd = () => {
+            let node = parseUnary();
+            while (peek() === 'and' || peek() === '&&') {
+                index++;
+                node = { type: 'and', left: node, right: parseUnary() };
+            }
+            return node;
+        };
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === 'or' || peek() === '||') {
+                index++;
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+            return node;
+        };
+
+        if (tokens.length === 0) return fail('empty condition');
+        const tree = parseOr();
+        if (index < tokens.length) return fail(`unexpected "${tokens[index]}"`);
+        return tree;
+    }
+
+    function evaluateTemplateExpression(node) {
+        switch (node.type) {
+            case 'literal': return node.value;
+            case 'flag': return !!worldState.flags[node.id];
+            case 'item': return hasItem(node.id);
+            case 'seen': return hasSeenEnding(node.id);
+            case 'name': return resolveTemplateName(node.name);
+            case 'not': return !evaluateTemplateExpression(node.operand);
+            case 'and': return evaluateTemplateExpression(node.left) && evaluateTemplateExpression(node.right);
+            case 'or': return evaluateTemplateExpression(node.left) || evaluateTemplateExpression(node.right);
+            case 'compare': {
+                const left = evaluateTemplateExpression(node.left);
+                const right = evaluateTemplateExpression(node.right);
+                switch (node.op) {
+                    case '>=': return left >= right;
+                    case '<=': return left <= right;
+                    case '>': return left > right;
+                    case '<': return left < right;
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                }
+            }
+        }
+        return false;
+    }
+
+    // A stat (loop, reality_noise...), flags.name, or a bare flag name
+    function resolveTemplateName(name) {
+        if (name.startsWith('flags.')) return worldState.flags[name.slice(6)] || false;
+        const value = getStatValue(name);
+        if (value !== undefined && (value === null || typeof value !== 'object')) return value;
+        if (name in worldState.flags || FLAG_DEFINITIONS[name]) return worldState.flags[name] || false;
+        reportConditionError(`Unknown template variable "${name}"`);
+        return undefined;
+    }
+
+    function renderTemplateNodes(nodes, context) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return node.value;
+                case 'var': {
+                    const value = resolveTemplateName(node.name);
+                    return value === undefined || value === false ? '' : String(value);
+                }
+                case 'if': {
+                    const branch = node.branches.find(b => evaluateTemplateExpression(b.condition));
+                    return renderTemplateNodes(branch ? branch.nodes : node.elseNodes, context);
+                }
+                case 'pick': {
+                    // Seeded by loop, source text and position: stable within a loop, varies across loops
+                    const seed = hashString(`${worldState.loop}|${context.source}|${context.pickIndex++}`);
+                    return renderTemplateNodes(node.options[seed % node.options.length], context);
+                }
+                case 'npc':
+                    return getNpcLabel(node.npcType || worldState.currentNpcType);
+                case 'pronoun':
+                    return getNpcPronoun(node.npcType || worldState.currentNpcType);
+            }
+            return '';
+        }).join('');
+    }
+
+    function getNpcPronoun(npcType) {
+        const gender = getNpcGender(npcType);
+        return gender === '女' ? '她' : (gender === '男' ? '他' : '它');
+    }
+
+    function reportTemplateError(source, error) {
+        const snippet = source.slice(Math.max(0, error.pos - 10), error.pos + 20);
+        console.warn(`[template] ${error.message} at ${error.pos}: "...${snippet}..."`);
+    }
+
+    function hashString(text) {
+        // FNV-1a
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        // Final avalanche so seeds that differ in one character spread out
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x45d9f3b);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    }
+
+    function renderChoices(choices) {
+        DOM.choicesContainer.innerHTML = '';
+        // Choices gated by conditions are hidden until the world state allows them
+        choices = (choices || []).filter(choice => checkConditions(choice.conditions));
+        if (choices.length === 0) {
+            const btn = document.createElement('button');
+            btn.className = 'choice-btn';
+            btn.textContent = '继续...';
+            btn.addEventListener('click', () => advanceToNextScene(null, true));
+            DOM.choicesContainer.appendChild(btn);
+            return;
+        }
+        choices.forEach(choice => {
+            const btn = document.createElement('button');
+            btn.className = 'choice-btn';
+            btn.innerHTML = `<span>${choice.label}</span>`;
+            // Locked choices stay visible but greyed out, with a hint on how to unlock them
+            if (isChoiceLocked(choice)) {
+                btn.classList.add('locked');
+                btn.disabled = true;
+                btn.innerHTML += `<span class="choice-lock-hint">${getChoiceLockHint(choice)}</span>`;
+            }
+            btn.addEventListener('click', () => handleChoice(choice));
+            DOM.choicesContainer.appendChild(btn);
+        });
+    }
+
+    // Choices with "useItem" are locked while the item is not in the inventory
+    function isChoiceLocked(choice) {
+        if (choice.useItem && !hasItem(choice.useItem)) return true;
+        return !!choice.lockedConditions && !checkConditions(choice.lockedConditions);
+    }
+
+    function getChoiceLockHint(choice) {
+        if (choice.useItem && !hasItem(choice.useItem)) return `你身上没有${getItemName(choice.useItem)}`;
+        return choice.lockedHint || '条件未满足';
+    }
+
+    // Effects, flags and item changes a choice carries; "consumeItem" uses up its "useItem"
+    function applyChoiceOutcome(choice) {
+        if (choice.effects) applyEffects(choice.effects);
+        if (choice.setFlags) applyFlags(choice.setFlags);
+        const takeItems = [...(choice.takeItems || []), ...(choice.consumeItem && choice.useItem ? [choice.useItem] : [])];
+        applyItemChanges(choice.giveItems || [], takeItems);
+    }
+
+    function handleChoice(choice) {
+        if (isTransitioning || isStreaming) return;
+        if (!checkConditions(choice.conditions) || isChoiceLocked(choice)) return;
         ensureBgmPlaying();
 
         // Determine choice type:
@@ -831,8 +1961,7 @@
 
         // Dialogue and Event: Send to AI, no scene change
         if (isDialogue || isEvent) {
-            if (choice.effects) applyEffects(choice.effects);
-            if (choice.setFlags) Object.assign(worldState.flags, choice.setFlags);
+            applyChoiceOutcome(choice);
             renderState();
 
             const chatText = isEvent ? `*你 ${choice.label}*` : choice.label;
@@ -843,23 +1972,21 @@
 
         // Navigate or Action: Apply effects and switch scene
         if (isNavigate || isAction) {
-            if (choice.effects) applyEffects(choice.effects);
-            if (choice.setFlags) Object.assign(worldState.flags, choice.setFlags);
+            applyChoiceOutcome(choice);
             worldState.sceneCount++;
             renderState();
 
-            if (choice.ending) { triggerEnding(choice.ending); return; }
-            advanceToNextScene(choice.next, true);
+            if (choice.ending && triggerEnding(choice.ending)) return;
+            advanceToNextScene(choice.next, true, choice);
             return;
         }
 
         // Standard Action (no type, no quotes): Apply effects, then either advance or send to AI
-        if (choice.effects) applyEffects(choice.effects);
-        if (choice.setFlags) Object.assign(worldState.flags, choice.setFlags);
+        applyChoiceOutcome(choice);
         renderState();
 
         // Check explicit ending
-        if (choice.ending) { triggerEnding(choice.ending); return; }
+        if (choice.ending && triggerEnding(choice.ending)) return;
         const ending = checkEndings();
         if (ending) { triggerEnding(ending); return; }
 
@@ -880,11 +2007,11 @@
         const prevStability = worldState.train_stability;
         const prevNoise = worldState.reality_noise;
 
+        const changes = {};
         for (const [key, value] of Object.entries(effects)) {
-            if (key in worldState && key !== 'flags' && key !== 'playedScenes') {
-                worldState[key] = clamp(worldState[key] + value, 0, 100);
-            }
+            changes[key] = adjustStat(key, value);
         }
+        applyDispositionReactions(changes);
 
         if (prevStability - worldState.train_stability >= 10 || worldState.reality_noise - prevNoise >= 15) {
             triggerScreenShake();
@@ -902,7 +2029,131 @@
         }
     }
 
-    function advanceToNextScene(nextId, fromPredefinedChoice = false) {
+    function saveLocationDialogue() {
+        if (isEventScene(worldState.currentSceneId)) return;
+        syncLocationIndex(); // IMPORTANT: Update index based on actual current scene
+        const currentLoc = LOCATIONS[currentLocationIndex];
+        if (currentLoc) {
+            currentLoc.savedHTML = DOM.sceneText.innerHTML;
+        }
+    }
+
+    // ============================================
+    // World Events
+    // ============================================
+    // Scenes with an "event" block are interrupts scheduled here:
+    //   "event": {
+    //     "triggers": [
+    //       { "crosses": {..} }                  armed when the condition block turns true
+    //       { "while": {..}, "chance": 0.1 }     rolled on every player action while it holds ({} = any time)
+    //       { "afterSeconds": 180 }              armed after this much play time in the loop
+    //     ],
+    //     "weight": 1,            relative odds when several events are ready at once
+    //     "cooldown": 5,          actions before the same event may fire again
+    //     "oncePerLoop": true,    at most once per loop (default: may repeat after the cooldown)
+    //     "interrupts": ["navigate", "chat", "idle"]
+    //   }
+    // The scene's own "conditions" must hold as well. Player actions (navigation, chat turns)
+    // advance the event tick; the idle clock only counts play time and fires armed events.
+    const EVENT_SOURCES = ['navigate', 'chat', 'idle'];
+    const EVENT_DEFAULT_COOLDOWN = 5;
+    const EVENT_GLOBAL_COOLDOWN = 2;  // Actions between any two events
+    const EVENT_CLOCK_MS = 5000;
+
+    function isEventScene(sceneId) {
+        const scene = scenes.find(s => s.id === sceneId);
+        return Boolean(scene && scene.event);
+    }
+
+    // Update trigger state for one event; returns true if it wants to fire now
+    function evaluateEventTriggers(scene, source) {
+        const state = worldState.events;
+        const triggers = Array.isArray(scene.event.triggers) ? scene.event.triggers : [];
+        const truths = state.truths[scene.id] || [];
+        const lastFired = state.fired[scene.id];
+        let ready = Boolean(state.armed[scene.id]);
+
+        triggers.forEach((trigger, i) => {
+            if (trigger.crosses !== undefined) {
+                const holds = checkConditions(trigger.crosses);
+                if (holds && truths[i] === false) state.armed[scene.id] = ready = true;
+                truths[i] = holds;
+            } else if (trigger.afterSeconds !== undefined) {
+                // Measured from the loop start, or from the last time this event fired
+                const since = lastFired ? lastFired.elapsedMs : 0;
+                if (state.elapsedMs - since >= trigger.afterSeconds * 1000) {
+                    state.armed[scene.id] = ready = true;
+                }
+            } else if (trigger.while !== undefined && source !== 'idle') {
+                const chance = typeof trigger.chance === 'number' ? trigger.chance : 1;
+                if (checkConditions(trigger.while) && Math.random() < chance) ready = true;
+            }
+        });
+        state.truths[scene.id] = truths;
+        return ready;
+    }
+
+    function canEventFire(scene, source) {
+        const config = scene.event;
+        const state = worldState.events;
+        const lastFired = state.fired[scene.id];
+        const interrupts = Array.isArray(config.interrupts) ? config.interrupts : EVENT_SOURCES;
+
+        if (!interrupts.includes(source)) return false;
+        if (lastFired && config.oncePerLoop === true) return false;
+        if (lastFired && state.tick - lastFired.tick < (config.cooldown ?? EVENT_DEFAULT_COOLDOWN)) return false;
+        return checkConditions(scene.conditions);
+    }
+
+    // Called on each player action and by the idle clock; returns the event scene to show, if any
+    function pollEvents(source) {
+        const state = worldState.events;
+        if (source !== 'idle') state.tick += 1;
+
+        // Every event is evaluated so threshold crossings are seen even while another one fires
+        const ready = scenes
+            .filter(scene => scene.event)
+            .filter(scene => evaluateEventTriggers(scene, source) && canEventFire(scene, source));
+
+        const inEvent = isEventScene(worldState.currentSceneId);
+        const cooling = state.lastEventTick !== null && state.tick - state.lastEventTick < EVENT_GLOBAL_COOLDOWN;
+        if (ready.length === 0 || inEvent || cooling) return null;
+
+        const picked = pickWeighted(ready, getEventWeight);
+
+        state.fired[picked.id] = { tick: state.tick, elapsedMs: state.elapsedMs };
+        state.lastEventTick = state.tick;
+        delete state.armed[picked.id];
+        return picked.id;
+    }
+
+    function getEventWeight(scene) {
+        const weight = scene.event.weight;
+        return typeof weight === 'number' && weight > 0 ? weight : 1;
+    }
+
+    function triggerEvent(eventId) {
+        saveLocationDialogue();
+        worldState.sceneCount++;
+        advanceToNextScene(eventId, true);
+    }
+
+    // Counts play time while the page is visible and lets time-armed events cut in when idle
+    function tickEventClock() {
+        if (document.hidden) return;
+        worldState.events.elapsedMs += EVENT_CLOCK_MS;
+        if (isTransitioning || isStreaming) return;
+        // No interruptions while the player is in a menu
+        const overlays = [DOM.endingOverlay, DOM.tutorialOverlay, DOM.savesOverlay, DOM.endingsOverlay,
+            DOM.inventoryOverlay, DOM.historyOverlay, DOM.promptOverlay];
+        if (overlays.some(overlay => overlay && overlay.classList.contains('active'))) return;
+
+        const eventId = pollEvents('idle');
+        if (eventId) triggerEvent(eventId);
+    }
+
+    // `request` carries the choice's "pool" and "tags" when the next scene is drawn
+    function advanceToNextScene(nextId, fromPredefinedChoice = false, request = {}) {
         // For AI-generated responses with null, stay in current scene
         if (!fromPredefinedChoice && (!nextId || nextId === worldState.currentSceneId)) {
             console.log('Staying in current scene:', worldState.currentSceneId);
@@ -915,75 +2166,584 @@
         if (nextId) {
             showScene(nextId);
         } else {
-            // Random selection for predefined choices
-            const nextScene = selectNextScene();
+            // Let the scene director pick from the requested pool
+            const nextScene = selectNextScene(request);
             if (nextScene) showScene(nextScene.id);
             else triggerEnding('normal_arrival');
         }
     }
 
-    function selectNextScene() {
+    // ============================================
+    // Scene Director
+    // ============================================
+    // Choices without a "next" (and the "继续..." fallback) draw the next scene from a pool.
+    //   scene:  "pool": "wander" or ["wander", ..]   pools the scene can be drawn from
+    //           "tags": ["inspector"], "weight": 1
+    //           "once": true                        not drawn again once played this loop
+    //           "trend": { "train_stability": "falling" }
+    //                                               favoured while a stat is rising/falling/steady
+    //   choice: "pool": "wander", "tags": [..]      pool to draw from (default wander), tags to favour
+    // Candidates must satisfy their own conditions. Recently visited scenes and tags are damped
+    // so the player is not sent back and forth; requested tags and matching trends are boosted.
+    // Scenes marked "random": true (older content) belong to the default pool.
+    const DEFAULT_SCENE_POOL = 'wander';
+    const TRACKED_STATS = ['train_stability', 'reality_noise', 'inspector_trust', 'anomaly_awareness'];
+    const SCENE_TRAIL_LENGTH = 8;
+    const TAG_MEMORY = 3;         // Recent scenes whose tags count as "just seen"
+    const TREND_THRESHOLD = 10;   // Change across the trail that counts as rising/falling
+    const SCENE_WEIGHTS = {
+        played: 0.5,              // Seen earlier this loop, but not recently
+        sharedTag: 0.6,           // Per tag shared with the last TAG_MEMORY scenes
+        preferredTag: 3,          // Per tag the choice asked for
+        trend: 2                  // Per matching stat trend
+    };
+
+    function getScenePools(scene) {
+        if (Array.isArray(scene.pool)) return scene.pool;
+        if (typeof scene.pool === 'string') return [scene.pool];
+        return scene.random ? [DEFAULT_SCENE_POOL] : [];
+    }
+
+    function getSceneTags(sceneId) {
+        const scene = scenes.find(s => s.id === sceneId);
+        return scene && Array.isArray(scene.tags) ? scene.tags : [];
+    }
+
+    function selectNextScene(request = {}) {
+        const pool = request.pool || DEFAULT_SCENE_POOL;
         const available = scenes.filter(scene => {
-            if (worldState.playedScenes.includes(scene.id)) return false;
-            // ONLY pick scenes explicitly marked as random
-            if (!scene.random) return false;
-            if (scene.conditions) return checkConditions(scene.conditions);
-            return true;
+            if (scene.id === worldState.currentSceneId) return false;
+            if (!getScenePools(scene).includes(pool)) return false;
+            if (scene.once && worldState.playedScenes.includes(scene.id)) return false;
+            return checkConditions(scene.conditions);
         });
         if (available.length === 0) return null;
-        return available[randomInt(0, available.length - 1)];
+        return pickWeighted(available, scene => getSceneWeight(scene, request));
+    }
+
+    function getSceneWeight(scene, request) {
+        const trail = worldState.sceneTrail;
+        let weight = typeof scene.weight === 'number' && scene.weight > 0 ? scene.weight : 1;
+
+        // The more recent the last visit, the lower the weight
+        const lastVisit = trail.map(entry => entry.id).lastIndexOf(scene.id);
+        if (lastVisit !== -1) {
+            weight *= (trail.length - lastVisit) / (SCENE_TRAIL_LENGTH + 1);
+        } else if (worldState.playedScenes.includes(scene.id)) {
+            weight *= SCENE_WEIGHTS.played;
+        }
+
+        const recentTags = trail.slice(-TAG_MEMORY).flatMap(entry => getSceneTags(entry.id));
+        const preferredTags = Array.isArray(request.tags) ? request.tags : [];
+        getSceneTags(scene.id).forEach(tag => {
+            if (recentTags.includes(tag)) weight *= SCENE_WEIGHTS.sharedTag;
+            if (preferredTags.includes(tag)) weight *= SCENE_WEIGHTS.preferredTag;
+        });
+
+        for (const [stat, direction] of Object.entries(scene.trend || {})) {
+            if (getStatTrend(stat) === direction) weight *= SCENE_WEIGHTS.trend;
+        }
+        return weight;
+    }
+
+    // 'rising' | 'falling' | 'steady', comparing the stat now with the oldest scene in the trail
+    function getStatTrend(stat) {
+        const oldest = worldState.sceneTrail[0];
+        if (!oldest || typeof oldest.stats[stat] !== 'number') return 'steady';
+        const delta = worldState[stat] - oldest.stats[stat];
+        if (delta >= TREND_THRESHOLD) return 'rising';
+        if (delta <= -TREND_THRESHOLD) return 'falling';
+        return 'steady';
+    }
+
+    function recordSceneVisit(sceneId) {
+        const stats = {};
+        TRACKED_STATS.forEach(stat => { stats[stat] = worldState[stat]; });
+        worldState.sceneTrail.push({ id: sceneId, stats });
+        worldState.sceneTrail = worldState.sceneTrail.slice(-SCENE_TRAIL_LENGTH);
     }
 
+    // Condition grammar shared by scenes, choices, endings and thoughts:
+    //   { "reality_noise": 40 }                       exact value (numbers and strings)
+    //   { "reality_noise": { "gte": 40, "lt": 90 } }   min/max/gte/lte/gt/lt/eq/ne, "in": [..]
+    //   { "reality_noise": { "gt": "train_stability" } } a string operand names another stat
+    //   { "loop": { "mod": 3, "rem": 0 } }             modulo test (rem defaults to 0)
+    //   { "flags": { "has_note": true, "saw_note": false, "met_inspector": null } }
+    //                                                 exact / not set or falsy / never set
+    //   { "playedScenes": { "contains": "note_01", "excludes": ["anomaly_03"], "count": { "min": 3 } } }
+    //   { "items": { "contains": "note" } }          the inventory, same operators as playedScenes
+    //   { "anomaly.fear": { "max": 30 } }             an NPC's disposition (npc.trust/fear/familiarity)
+    //   { "any": [ {..}, {..} ] }, { "all": [ {..}, {..} ] }, { "not": {..} }
+    // All keys of one object must hold. Unknown keys and operators are reported and fail.
+    const VALUE_OPERATORS = ['min', 'max', 'gte', 'lte', 'gt', 'lt', 'eq', 'ne', 'in', 'mod', 'rem'];
+    const reportedConditionErrors = new Set();
+
     function checkConditions(conditions) {
-        for (const [key, requirement] of Object.entries(conditions)) {
-            if (key === 'flags') {
-                for (const [flagName, flagValue] of Object.entries(requirement)) {
-                    if (worldState.flags[flagName] !== flagValue) return false;
-                }
-                continue;
+        if (!conditions) return true;
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            reportConditionError(`Invalid condition block: ${JSON.stringify(conditions)}`);
+            return false;
+        }
+        return Object.entries(conditions).every(([key, requirement]) => checkCondition(key, requirement));
+    }
+
+    function checkCondition(key, requirement) {
+        switch (key) {
+            case 'any':
+                return Array.isArray(requirement) && requirement.some(checkConditions);
+            case 'all':
+                return Array.isArray(requirement) && requirement.every(checkConditions);
+            case 'not':
+                return !checkConditions(requirement);
+            case 'flags':
+                return checkFlagConditions(requirement);
+            case 'playedScenes':
+                return checkListConditions('playedScenes', worldState.playedScenes || [], requirement);
+            case 'items':
+                return checkListConditions('items', worldState.inventory || [], requirement);
+        }
+
+        const value = getStatValue(key);
+        if (value === undefined || (value !== null && typeof value === 'object')) {
+            reportConditionError(`Unknown condition key "${key}"`);
+            return false;
+        }
+        return matchValue(key, value, requirement);
+    }
+
+    function checkFlagConditions(flagRequirements) {
+        const flags = worldState.flags || {};
+        return Object.entries(flagRequirements || {}).every(([flagName, expected]) => {
+            if (expected === null) return !(flagName in flags);
+            if (expected === false) return !flags[flagName];
+            return flags[flagName] === expected;
+        });
+    }
+
+    function checkListConditions(key, list, requirement) {
+        const ids = (value) => (Array.isArray(value) ? value : [value]);
+        for (const [op, operand] of Object.entries(requirement || {})) {
+            if (op === 'contains') {
+                if (!ids(operand).every(id => list.includes(id))) return false;
+            } else if (op === 'excludes') {
+                if (ids(operand).some(id => list.includes(id))) return false;
+            } else if (op === 'count') {
+                if (!matchValue(`${key}.count`, list.length, operand)) return false;
+            } else {
+                reportConditionError(`Unknown ${key} operator "${op}"`);
+                return false;
             }
-            const value = worldState[key];
-            if (value === undefined) continue;
-            if (typeof requirement === 'number') {
-                if (value !== requirement) return false;
-            } else if (typeof requirement === 'object') {
-                if (requirement.min !== undefined && value < requirement.min) return false;
-                if (requirement.max !== undefined && value > requirement.max) return false;
-                if (requirement.gte !== undefined && value < requirement.gte) return false;
-                if (requirement.lte !== undefined && value > requirement.lte) return false;
+        }
+        return true;
+    }
+
+    function matchValue(key, value, requirement) {
+        if (requirement === null || typeof requirement !== 'object') return value === requirement;
+
+        for (const op of Object.keys(requirement)) {
+            if (!VALUE_OPERATORS.includes(op)) {
+                reportConditionError(`Unknown operator "${op}" on "${key}"`);
+                return false;
             }
         }
+
+        const operand = (op) => resolveOperand(requirement[op]);
+        if (requirement.min !== undefined && value < operand('min')) return false;
+        if (requirement.max !== undefined && value > operand('max')) return false;
+        if (requirement.gte !== undefined && value < operand('gte')) return false;
+        if (requirement.lte !== undefined && value > operand('lte')) return false;
+        if (requirement.gt !== undefined && !(value > operand('gt'))) return false;
+        if (requirement.lt !== undefined && !(value < operand('lt'))) return false;
+        if (requirement.eq !== undefined && value !== operand('eq')) return false;
+        if (requirement.ne !== undefined && value === operand('ne')) return false;
+        if (requirement.in !== undefined && !(Array.isArray(requirement.in) && requirement.in.includes(value))) return false;
+        if (requirement.mod !== undefined && value % requirement.mod !== (requirement.rem || 0)) return false;
         return true;
     }
 
+    // String operands that name a numeric stat compare against that stat
+    function resolveOperand(operand) {
+        if (typeof operand === 'string' && typeof getStatValue(operand) === 'number') return getStatValue(operand);
+        return operand;
+    }
+
+    function reportConditionError(message) {
+        if (reportedConditionErrors.has(message)) return;
+        reportedConditionErrors.add(message);
+        console.warn(`[conditions] ${message}`);
+    }
+
     function checkEndings() {
-        const endingOrder = ['train_anomaly', 'detained', 'awakening', 'normal_arrival'];
-        for (const endingId of endingOrder) {
-            const ending = ENDINGS[endingId];
-            if (ending.condition(worldState)) {
-                if (endingId === 'normal_arrival' && worldState.sceneCount < 5) continue;
-                return endingId;
-            }
+        const endingOrder = Object.values(ENDINGS)
+            .filter(ending => typeof ending.priority === 'number' && ending.conditions)
+            .sort((a, b) => a.priority - b.priority);
+        for (const ending of endingOrder) {
+            if (checkConditions(ending.conditions)) return ending.id;
         }
         return null;
     }
 
+    // Endings requested by the model are whitelisted against ENDINGS and gated:
+    // "llm": false forbids them outright, otherwise "llmConditions" (default: the ending's
+    // own conditions) must already hold. Rejected requests are logged and the turn goes on.
+    function acceptModelEnding(endingId) {
+        // Own keys only, so "constructor" and friends are not endings
+        const ending = Object.hasOwn(ENDINGS, endingId) ? ENDINGS[endingId] : null;
+        if (!ending) {
+            console.warn(`Rejected ending "${endingId}" from model: unknown ending`);
+            return false;
+        }
+        if (ending.llm === false) {
+            console.warn(`Rejected ending "${endingId}" from model: not allowed`);
+            return false;
+        }
+        const gate = ending.llmConditions !== undefined ? ending.llmConditions : ending.conditions;
+        if (!checkConditions(gate)) {
+            console.warn(`Rejected ending "${endingId}" from model: conditions not met`);
+            return false;
+        }
+        return triggerEnding(endingId);
+    }
+
     function triggerEnding(endingId) {
-        const ending = ENDINGS[endingId];
+        const ending = Object.hasOwn(ENDINGS, endingId) ? ENDINGS[endingId] : null;
+        if (!ending) {
+            console.error(`Unknown ending "${endingId}", ignoring`);
+            return false;
+        }
+        const summary = buildRunSummary(endingId);
         DOM.endingTitle.textContent = ending.title;
         DOM.endingDescription.textContent = ending.description;
         DOM.endingStats.innerHTML = `
-            循环 #${worldState.loop} | 场景数: ${worldState.sceneCount} | 
-            稳定度: ${worldState.train_stability} | 噪声: ${worldState.reality_noise}
+            循环 #${summary.loop} | 场景数: ${summary.sceneCount} | 
+            稳定度: ${summary.stats.train_stability} | 噪声: ${summary.stats.reality_noise}
         `;
         DOM.endingOverlay.classList.add('active');
+        recordEnding(endingId, summary);
         saveState();
+        return true;
     }
 
     function hideEnding() {
         DOM.endingOverlay.classList.remove('active');
     }
 
+    // ============================================
+    // NPC Disposition
+    // ============================================
+    // Each NPC in npcs.json has a disposition towards the player on three axes (0-100).
+    // "linkedStats" maps an axis onto an existing stat (the inspector's trust is inspector_trust).
+    // Axes are addressed as "<npc>.<axis>" in effects, conditions and templates.
+    //   "perTurn": { "familiarity": 3 }   change per chat turn spent with the NPC
+    //   "reactions": [ { "to": "inspector.trust", "effects": { "trust": -0.5 } } ]
+    //                                     when a stat or axis changes through effects, this NPC's
+    //                                     axes move by the change times the factor (no chaining)
+    const DISPOSITION_AXES = {
+        trust: '信任',
+        fear: '恐惧',
+        familiarity: '熟悉'
+    };
+    const FAMILIARITY_CARRYOVER = 0.5;  // Share of familiarity that survives into the next loop
+
+    function getInitialDispositions() {
+        const dispositions = {};
+        for (const npc of Object.values(NPCS)) {
+            if (!isPlainObject(npc.disposition)) continue;
+            const linked = npc.linkedStats || {};
+            dispositions[npc.id] = {};
+            for (const axis of Object.keys(DISPOSITION_AXES)) {
+                if (linked[axis]) continue;
+                const value = npc.disposition[axis];
+                dispositions[npc.id][axis] = typeof value === 'number' ? value : 0;
+            }
+        }
+        return dispositions;
+    }
+
+    // New loop: attitudes start over, but some familiarity lingers
+    function getLoopDispositions() {
+        const dispositions = getInitialDispositions();
+        for (const [npcType, axes] of Object.entries(dispositions)) {
+            const previous = worldState.dispositions[npcType];
+            if (previous && 'familiarity' in axes) {
+                axes.familiarity = Math.max(axes.familiarity, Math.floor(previous.familiarity * FAMILIARITY_CARRYOVER));
+            }
+        }
+        return dispositions;
+    }
+
+    // Resolve "npc.axis" to the worldState key or disposition entry that stores it
+    function resolveDispositionKey(key) {
+        const [npcType, axis] = key.split('.');
+        const npc = NPCS[npcType];
+        if (!npc || !DISPOSITION_AXES[axis] || !isPlainObject(npc.disposition)) return null;
+        const linkedStat = npc.linkedStats && npc.linkedStats[axis];
+        if (linkedStat) return { target: worldState, field: linkedStat };
+        const axes = worldState.dispositions[npcType];
+        return axes && axis in axes ? { target: axes, field: axis } : null;
+    }
+
+    // Stats and disposition axes by name; undefined if there is no such value
+    function getStatValue(key) {
+        if (!key.includes('.')) return worldState[key];
+        const ref = resolveDispositionKey(key);
+        return ref ? ref.target[ref.field] : undefined;
+    }
+
+    // Change a stat or disposition axis, clamped to 0-100; returns the change actually applied
+    function adjustStat(key, delta) {
+        const ref = key.includes('.')
+            ? resolveDispositionKey(key)
+            : (key in worldState && key !== 'flags' && key !== 'playedScenes' ? { target: worldState, field: key } : null);
+        if (!ref || typeof ref.target[ref.field] !== 'number') return 0;
+        const before = ref.target[ref.field];
+        ref.target[ref.field] = clamp(before + delta, 0, 100);
+        return ref.target[ref.field] - before;
+    }
+
+    function applyDispositionReactions(changes) {
+        // A linked stat and its "npc.axis" alias are the same value
+        for (const npc of Object.values(NPCS)) {
+            for (const [axis, stat] of Object.entries(npc.linkedStats || {})) {
+                const alias = `${npc.id}.${axis}`;
+                if (changes[stat] && !changes[alias]) changes[alias] = changes[stat];
+                else if (changes[alias] && !changes[stat]) changes[stat] = changes[alias];
+            }
+        }
+        for (const npc of Object.values(NPCS)) {
+            (npc.reactions || []).forEach(reaction => {
+                const delta = changes[reaction.to];
+                if (!delta) return;
+                for (const [axis, factor] of Object.entries(reaction.effects || {})) {
+                    adjustStat(`${npc.id}.${axis}`, Math.round(delta * factor));
+                }
+            });
+        }
+    }
+
+    function applyTurnDisposition(npcType) {
+        const npc = NPCS[npcType];
+        if (!npc || !npc.perTurn) return;
+        for (const [axis, amount] of Object.entries(npc.perTurn)) {
+            adjustStat(`${npcType}.${axis}`, amount);
+        }
+    }
+
+    function getDispositionAxes(npcType) {
+        const npc = NPCS[npcType];
+        if (!npc || !isPlainObject(npc.disposition)) return [];
+        return Object.keys(DISPOSITION_AXES).map(axis => ({
+            axis,
+            label: DISPOSITION_AXES[axis],
+            value: getStatValue(`${npcType}.${axis}`)
+        })).filter(entry => typeof entry.value === 'number');
+    }
+
+    function formatDisposition(npcType) {
+        return getDispositionAxes(npcType).map(entry => `${entry.label} ${entry.value}`).join(' · ');
+    }
+
+    // ============================================
+    // Inventory
+    // ============================================
+    function getStartingItems() {
+        return Object.values(ITEMS).filter(item => item.starting).map(item => item.id);
+    }
+
+    function hasItem(itemId) {
+        return worldState.inventory.includes(itemId);
+    }
+
+    function getItemName(itemId) {
+        return ITEMS[itemId] ? ITEMS[itemId].name : itemId;
+    }
+
+    // Add and remove items, telling the player what changed; returns true if anything did
+    function applyItemChanges(giveItems, takeItems) {
+        let changed = false;
+        giveItems.forEach(itemId => {
+            if (!ITEMS[itemId] || hasItem(itemId)) return;
+            worldState.inventory.push(itemId);
+            appendMessage('system', `获得了「${getItemName(itemId)}」`);
+            changed = true;
+        });
+        takeItems.forEach(itemId => {
+            if (!hasItem(itemId)) return;
+            worldState.inventory = worldState.inventory.filter(id => id !== itemId);
+            appendMessage('system', `失去了「${getItemName(itemId)}」`);
+            changed = true;
+        });
+        if (changed) {
+            saveState();
+            renderThoughts();
+            if (DOM.inventoryOverlay && DOM.inventoryOverlay.classList.contains('active')) renderInventory();
+        }
+        return changed;
+    }
+
+    function toggleInventory(show) {
+        if (!DOM.inventoryOverlay || !DOM.inventoryContent) return;
+        if (show) {
+            renderInventory();
+            DOM.inventoryOverlay.classList.add('active');
+        } else {
+            DOM.inventoryOverlay.classList.remove('active');
+        }
+    }
+
+    function renderInventory() {
+        const content = DOM.inventoryContent;
+        content.innerHTML = '';
+
+        if (worldState.inventory.length === 0) {
+            content.appendChild(createGalleryText('口袋里空空如也。'));
+            return;
+        }
+        worldState.inventory.forEach(itemId => {
+            const item = ITEMS[itemId] || { id: itemId, name: itemId, description: '' };
+            const div = document.createElement('div');
+            div.className = 'history-item inventory-item';
+
+            if (item.icon) {
+                const icon = document.createElement('img');
+                icon.className = 'inventory-icon';
+                icon.src = ASSET_PATHS.train + item.icon;
+                icon.alt = item.name;
+                div.appendChild(icon);
+            } else {
+                const glyph = document.createElement('span');
+                glyph.className = 'inventory-icon';
+                glyph.textContent = item.glyph || '?';
+                div.appendChild(glyph);
+            }
+
+            const body = document.createElement('div');
+            const name = document.createElement('span');
+            name.className = 'history-scene-title';
+            name.textContent = item.name;
+            const text = document.createElement('div');
+            text.className = 'history-text';
+            text.textContent = item.description;
+            body.appendChild(name);
+            body.appendChild(text);
+            if (item.useText) {
+                body.appendChild(createActionButton('使用', () => useInventoryItem(item)));
+            }
+
+            div.appendChild(body);
+            content.appendChild(div);
+        });
+    }
+
+    // Using an item is an action the NPC (and the model) react to
+    function useInventoryItem(item) {
+        if (isTransitioning || isStreaming) return;
+        toggleInventory(false);
+        DOM.chatInput.value = `*你 ${item.useText}*`;
+        handleChatSubmit();
+    }
+
+    // ============================================
+    // Endings Gallery & Run Statistics
+    // ============================================
+    function toggleEndingsGallery(show) {
+        if (!DOM.endingsOverlay || !DOM.endingsContent) return;
+        if (show) {
+            renderEndingsGallery();
+            DOM.endingsOverlay.classList.add('active');
+        } else {
+            DOM.endingsOverlay.classList.remove('active');
+        }
+    }
+
+    function renderEndingsGallery() {
+        const content = DOM.endingsContent;
+        content.innerHTML = '';
+
+        const endings = Object.values(ENDINGS).sort((a, b) =>
+            (a.priority ?? Infinity) - (b.priority ?? Infinity));
+        const unlocked = endings.filter(ending => hasSeenEnding(ending.id));
+
+        content.appendChild(createGallerySection(`结局收集 ${unlocked.length} / ${endings.length}`));
+        endings.forEach(ending => {
+            const record = metaState.endings[ending.id];
+            const div = document.createElement('div');
+            div.className = record ? 'history-item gallery-ending' : 'history-item gallery-ending locked';
+
+            const title = document.createElement('span');
+            title.className = 'history-scene-title';
+            title.textContent = record
+                ? `${ending.title} · 首次于循环 #${record.firstLoop} · 共 ${record.count} 次`
+                : '？？？';
+
+            const text = document.createElement('div');
+            text.className = 'history-text';
+            text.textContent = record ? ending.description : (ending.hint || '尚未抵达的结局。');
+
+            div.appendChild(title);
+            div.appendChild(text);
+            content.appendChild(div);
+        });
+
+        const runs = metaState.runs;
+        content.appendChild(createGallerySection('统计'));
+        content.appendChild(createGalleryText(runs.length > 0 ? formatAggregateStats(runs) : '还没有完成过任何一次旅程。'));
+
+        if (runs.length === 0) return;
+        content.appendChild(createGallerySection('最近的旅程'));
+        runs.slice().reverse().forEach(run => {
+            const ending = ENDINGS[run.endingId];
+            const div = document.createElement('div');
+            div.className = 'history-item';
+
+            const title = document.createElement('span');
+            title.className = 'history-scene-title';
+            title.textContent = `循环 #${run.loop} · ${ending ? ending.title : run.endingId} · ${new Date(run.endedAt).toLocaleString('zh-CN')}`;
+
+            const flags = run.flagsEarned.map(flagName => FLAG_DESCRIPTIONS[flagName] || flagName);
+            const text = createGalleryText([
+                `场景 ${run.scenesVisited} 个 | 回合 ${run.turnCount}`,
+                `稳定度 ${run.stats.train_stability} · 噪声 ${run.stats.reality_noise} · 信任 ${run.stats.inspector_trust} · 觉察 ${run.stats.anomaly_awareness}`,
+                flags.length > 0 ? `获得：${flags.join(' ')}` : '获得：无'
+            ].join('\n'));
+
+            div.appendChild(title);
+            div.appendChild(text);
+            content.appendChild(div);
+        });
+    }
+
+    function formatAggregateStats(runs) {
+        const average = (pick) => Math.round(runs.reduce((sum, run) => sum + pick(run), 0) / runs.length);
+        const endingCounts = {};
+        runs.forEach(run => { endingCounts[run.endingId] = (endingCounts[run.endingId] || 0) + 1; });
+        const distribution = Object.entries(endingCounts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([endingId, count]) => `${ENDINGS[endingId] ? ENDINGS[endingId].title : endingId} ×${count}`)
+            .join('、');
+
+        return [
+            runs.length >= MAX_RUNS ? `最近 ${MAX_RUNS} 次旅程` : `已完成旅程 ${runs.length} 次`,
+            `平均回合 ${average(run => run.turnCount)} | 平均场景 ${average(run => run.scenesVisited)}`,
+            `平均终局数值：稳定度 ${average(run => run.stats.train_stability)} · 噪声 ${average(run => run.stats.reality_noise)} · 信任 ${average(run => run.stats.inspector_trust)} · 觉察 ${average(run => run.stats.anomaly_awareness)}`,
+            `结局分布：${distribution}`
+        ].join('\n');
+    }
+
+    function createGallerySection(text) {
+        const heading = document.createElement('h3');
+        heading.className = 'gallery-section';
+        heading.textContent = text;
+        return heading;
+    }
+
+    function createGalleryText(text) {
+        const div = document.createElement('div');
+        div.className = 'history-text gallery-text';
+        div.textContent = text;
+        return div;
+    }
+
     function renderState() {
         DOM.statLoop.textContent = worldState.loop;
         DOM.statStability.textContent = worldState.train_stability;
@@ -994,6 +2754,15 @@
         DOM.statStability.style.color = worldState.train_stability <= 30 ? '#c77' : '';
         DOM.statNoise.style.color = worldState.reality_noise >= 60 ? '#b8a' : '';
 
+        // Disposition of the NPC in the current scene; all NPCs in the tooltip
+        if (DOM.statDisposition) {
+            const npcType = worldState.currentNpcType || 'none';
+            DOM.statDisposition.textContent = formatDisposition(npcType) || '—';
+            DOM.statDisposition.title = Object.keys(NPCS)
+                .map(type => `${getNpcLabel(type)}：${formatDisposition(type)}`)
+                .join('\n');
+        }
+
         // Update turn counter
         const turnsRemaining = Math.max(0, 15 - worldState.turnCount);
         if (DOM.turnCounter) {
@@ -1021,7 +2790,7 @@
 
         // Build current thoughts (later entries with same id override earlier)
         THOUGHTS.forEach(thought => {
-            if (thought.condition(worldState)) {
+            if (checkConditions(thought.conditions)) {
                 thoughtsMap.set(thought.id, thought.text);
             }
         });
@@ -1041,9 +2810,32 @@
         });
     }
 
+    // ============================================
+    // UI Helpers
+    // ============================================
+    function createActionButton(label, onClick, extraClass) {
+        const btn = document.createElement('button');
+        btn.className = extraClass ? `btn-control ${extraClass}` : 'btn-control';
+        btn.textContent = label;
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    function isPlainObject(value) { return !!value && typeof value === 'object' && !Array.isArray(value); }
     function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
     function randomInt(min, max) { return Math.floor(Math.random() * (max - min + 1)) + min; }
+    function pickWeighted(items, getWeight) {
+        const weights = items.map(getWeight);
+        let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        return items.find((item, i) => (roll -= weights[i]) < 0) || items[items.length - 1];
+    }
     function getFallbackScenes() { /* ... kept simple ... */ return [{ id: 'start', title: 'Fallback', npc: 'none', text: 'Error loading scenes', choices: [] }]; }
+    function getFallbackEndings() {
+        return [
+            { id: 'normal_arrival', title: '普通到站', description: '列车缓缓停靠。', priority: null, conditions: null },
+            { id: 'turn_limit', title: '列车到站', description: '列车减速了。', priority: null, conditions: null }
+        ];
+    }
 
     if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
     else init();
@@ -1087,6 +2879,7 @@
 
         // Increment turn count
         worldState.turnCount++;
+        applyTurnDisposition(worldState.currentNpcType);
         saveState();
         renderState();  // Update turn countdown UI immediately
 
@@ -1101,10 +2894,11 @@
 
         isStreaming = true;
         currentAbortController = new AbortController();
-        const prompt = constructPrompt(text);
+        const payload = constructTurn(text);
 
+        let outcome = null;
         try {
-            await streamLLM(prompt, currentAbortController.signal);
+            outcome = await streamLLM(payload, currentAbortController.signal);
         } catch (error) {
             if (error.name === 'AbortError') {
                 console.log('Request cancelled');
@@ -1119,6 +2913,12 @@
             isStreaming = false;
             currentAbortController = null;
         }
+
+        // A turn that stays in the scene may be interrupted by a world event
+        if (outcome === 'stay') {
+            const eventId = pollEvents('chat');
+            if (eventId) setTimeout(() => triggerEvent(eventId), 1500);
+        }
     }
 
     async function streamLLM(payload, abortSignal) {
@@ -1127,12 +2927,6 @@
         p.className = 'message-npc';
         DOM.sceneText.appendChild(p);
 
-        // Cursor effect
-        const cursor = document.createElement('span');
-        cursor.textContent = '○';
-        cursor.style.animation = 'blink 1s infinite';
-        p.appendChild(cursor);
-
         // Timeout handling - 45 seconds max for the entire request
         const timeoutId = setTimeout(() => {
             if (abortSignal && !abortSignal.aborted) {
@@ -1141,90 +2935,28 @@
         }, 45000);
 
         try {
-            const response = await fetch(CONFIG.API_URL + '/stream', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-                signal: abortSignal
-            });
+            const npcType = worldState.currentNpcType;
+            let stream = await readCompletionStreamWithRetry(payload, abortSignal, p);
 
-            if (!response.ok) throw new Error(`Stream Error: ${response.status}`);
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-
-            let fullContent = '';
-            let narrativeText = '';
-            let lastChunkTime = Date.now();
-
-            try {
-                while (true) {
-                    // Check for stalled stream (no data for 15 seconds)
-                    const timeSinceLastChunk = Date.now() - lastChunkTime;
-                    if (timeSinceLastChunk > 15000) {
-                        console.warn('Stream stalled - no data received for 15s');
-                        p.textContent = '[连接超时，请点击发送重试]';
-                        p.style.color = '#ff6b6b';
-                        break;
-                    }
+            // Validate the game logic against the response contract before touching state
+            let modelResponse = parseModelResponse(stream.fullContent);
+            let guarded = guardNarrative(modelResponse.narrative || stream.narrativeText, npcType, true);
 
-                    const { done, value } = await reader.read();
-                    if (done) break;
-
-                    lastChunkTime = Date.now();
-                    const chunk = decoder.decode(value, { stream: true });
-                    const lines = chunk.split('\n');
-
-                    for (const line of lines) {
-                        if (line.trim().startsWith('data: ')) {
-                            const dataStr = line.replace('data: ', '').trim();
-                            if (dataStr === '[DONE]') break;
-
-                            try {
-                                const json = JSON.parse(dataStr);
-                                const delta = json.choices[0]?.delta?.content || '';
-                                fullContent += delta;
-
-                                // Update narrative (everything before the first ```json)
-                                let currentNarrative = fullContent;
-                                if (fullContent.includes('```json')) {
-                                    currentNarrative = fullContent.split('```json')[0];
-                                }
-
-                                // Filter out <think>...</think> blocks for UI display
-                                let displayNarrative = currentNarrative;
-
-                                // 1. Remove all complete <think>...</think> blocks
-                                displayNarrative = displayNarrative.replace(/<\s*think\s*>[\s\S]*?<\s*\/\s*think\s*>/gi, '');
-
-                                // 2. If there's an unclosed <think>, hide everything after it
-                                if (displayNarrative.includes('<think')) {
-                                    displayNarrative = displayNarrative.split(/<\s*think/i)[0];
-                                }
-
-                                // 3. Remove any orphaned </think> tags
-                                displayNarrative = displayNarrative.replace(/<\s*\/\s*think\s*>/gi, '');
-
-                                displayNarrative = displayNarrative.trim();
-
-                                if (displayNarrative !== narrativeText) {
-                                    narrativeText = displayNarrative;
-                                    p.textContent = narrativeText;
-                                    p.appendChild(cursor);
-                                    DOM.sceneText.scrollTo({
-                                        top: DOM.sceneText.scrollHeight,
-                                        behavior: 'auto' // Use auto for high-frequency streaming updates
-                                    });
-                                }
-                            } catch (e) {
-                                // Partial JSON - ignore
-                            }
-                        }
-                    }
+            // Re-request once with a corrective instruction if a violation calls for it
+            if (guarded.retry) {
+                try {
+                    stream = await readCompletionStreamWithRetry(withGuardCorrection(payload, stream.fullContent, guarded.violations), abortSignal, p);
+                    modelResponse = parseModelResponse(stream.fullContent);
+                    guarded = guardNarrative(modelResponse.narrative || stream.narrativeText, npcType, false);
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    // The first reply is still usable; its text already has every rule's fix applied
+                    console.warn(`Corrective retry failed (${error.message}), keeping the first reply`);
+                    p.style.color = '';
+                    if (!p.isConnected) DOM.sceneText.appendChild(p);
                 }
-            } finally {
-                if (p.contains(cursor)) p.removeChild(cursor);
             }
+            const narrativeText = guarded.text;
 
             // Final UI sync
             p.textContent = narrativeText;
@@ -1232,41 +2964,541 @@
             // Log NPC response to history
             const currentScene = scenes.find(s => s.id === worldState.currentSceneId);
             if (narrativeText) {
-                const currentNpcType = worldState.currentNpcType; // Use worldState.currentNpcType
-                addToHistory('npc', narrativeText, currentScene?.title || '未知场景', getNpcLabel(currentNpcType), currentNpcType);
+                addToHistory('npc', narrativeText, currentScene?.title || '未知场景', getNpcLabel(npcType), npcType);
+                compactMemory(npcType);
             }
 
-            // Attempt to parse the full JSON block from fullContent
-            const jsonMatch = fullContent.match(/```json\s*([\s\S]*?)(?:```|$)/);
-            if (jsonMatch) {
-                try {
-                    let jsonStr = jsonMatch[1].trim();
-                    // Basic sanity check for unclosed JSON
-                    if (!jsonStr.endsWith('}')) {
-                        jsonStr += (jsonStr.match(/{/g) || []).length > (jsonStr.match(/}/g) || []).length ? '}' : '';
+            const gameLogic = modelResponse.logic;
+            if (gameLogic) {
+                if (gameLogic.setFlags && applyModelFlags(gameLogic.setFlags)) {
+                    saveState();
+                    renderThoughts();
+                }
+                if (gameLogic.giveItems || gameLogic.takeItems) applyModelItems(gameLogic.giveItems, gameLogic.takeItems);
+                if (gameLogic.effects) {
+                    applyEffects(gameLogic.effects);
+                    renderState();
+
+                    // Check for auto-triggered endings (based on stats)
+                    const autoEnding = checkEndings();
+                    if (autoEnding) {
+                        triggerEnding(autoEnding);
+                        return 'ending';
                     }
-                    const cleanJsonStr = jsonStr.replace(/:\s*\+(\d+)/g, ':$1');
-                    const gameLogic = JSON.parse(cleanJsonStr);
-                    if (gameLogic.effects) {
-                        applyEffects(gameLogic.effects);
-                        renderState();
-
-                        // Check for auto-triggered endings (based on stats)
-                        const autoEnding = checkEndings();
-                        if (autoEnding) {
-                            triggerEnding(autoEnding);
-                            return;
+                }
+                if (gameLogic.ending && acceptModelEnding(gameLogic.ending)) return 'ending';
+                if (gameLogic.next && gameLogic.next !== worldState.currentSceneId) {
+                    setTimeout(() => advanceToNextScene(gameLogic.next), 1500);
+                    return 'next';
+                }
+            }
+            return 'stay';
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // A reply that stops sending for this long counts as interrupted (CONFIG.STREAM_STALL_MS overrides)
+    const STREAM_STALL_MS = 15000;
+
+    // A reply the worker reports as interrupted, or that stalls, is requested once more from the start
+    async function readCompletionStreamWithRetry(payload, abortSignal, p) {
+        try {
+            return await readCompletionStream(payload, abortSignal, p);
+        } catch (error) {
+            if (!error.retryable) throw error;
+            console.warn(`${error.message}, requesting the reply again`);
+            try {
+                return await readCompletionStream(payload, abortSignal, p);
+            } catch (retryError) {
+                p.remove();  // Don't leave half a reply on screen
+                throw retryError;
+            }
+        }
+    }
+
+    // Resolves like reader.read(), or rejects with a retryable error once no data has come for stallMs
+    function readWithStallTimeout(reader, stallMs) {
+        let timer;
+        const stalled = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error(`Stream stalled: no data for ${stallMs / 1000}s`), {
+                name: 'StreamInterrupted',
+                retryable: true
+            })), stallMs);
+        });
+        return Promise.race([reader.read(), stalled]).finally(() => clearTimeout(timer));
+    }
+
+    // Stream one completion into `p`; returns the raw reply and the narrative shown so far
+    async function readCompletionStream(payload, abortSignal, p) {
+        p.textContent = '';
+        p.style.color = '';
+
+        // Cursor effect
+        const cursor = document.createElement('span');
+        cursor.textContent = '○';
+        cursor.style.animation = 'blink 1s infinite';
+        p.appendChild(cursor);
+
+        const response = await fetch(CONFIG.API_URL + '/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: abortSignal
+        });
+
+        if (!response.ok) throw new Error(`Stream Error: ${response.status}`);
+
+        // Set by the worker, so odd replies can be traced to the provider that wrote them
+        const provider = response.headers.get('X-Nighttrain-Provider');
+        if (provider) console.info(`[model] served by ${provider} (${response.headers.get('X-Nighttrain-Model')})`);
+        recordPromptReport(response);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+
+        let fullContent = '';
+        let narrativeText = '';
+        let buffer = '';  // Partial SSE line carried over to the next chunk
+        const stallMs = CONFIG.STREAM_STALL_MS || STREAM_STALL_MS;
+
+        try {
+            while (true) {
+                const { done, value } = await readWithStallTimeout(reader, stallMs);
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (line.trim().startsWith('data: ')) {
+                        const dataStr = line.replace('data: ', '').trim();
+                        if (dataStr === '[DONE]') break;
+
+                        let json;
+                        try {
+                            json = JSON.parse(dataStr);
+                        } catch (e) {
+                            continue;  // Not JSON - ignore
+                        }
+                        // The worker's structured error event, sent when the upstream died mid-reply
+                        if (json.error) {
+                            throw Object.assign(new Error(`Stream interrupted: ${json.error.message}`), {
+                                name: 'StreamInterrupted',
+                                retryable: Boolean(json.error.retryable)
+                            });
+                        }
+
+                        try {
+                            const delta = json.choices[0]?.delta?.content || '';
+                            fullContent += delta;
+
+                            const displayNarrative = extractDisplayNarrative(fullContent);
+
+                            if (displayNarrative !== narrativeText) {
+                                narrativeText = displayNarrative;
+                                p.textContent = narrativeText;
+                                p.appendChild(cursor);
+                                DOM.sceneText.scrollTo({
+                                    top: DOM.sceneText.scrollHeight,
+                                    behavior: 'auto' // Use auto for high-frequency streaming updates
+                                });
+                            }
+                        } catch (e) {
+                            // Unexpected chunk shape - ignore
                         }
                     }
-                    if (gameLogic.ending) triggerEnding(gameLogic.ending);
-                    else if (gameLogic.next) setTimeout(() => advanceToNextScene(gameLogic.next), 1500);
-                } catch (e) {
-                    console.error("Failed to parse game logic JSON", e);
                 }
             }
+        } catch (error) {
+            // Stop the download too, so a stalled or broken reply doesn't keep the connection open
+            reader.cancel().catch(() => {});
+            throw error;
         } finally {
-            clearTimeout(timeoutId);
+            if (p.contains(cursor)) p.removeChild(cursor);
         }
+        return { fullContent, narrativeText };
+    }
+
+    // ============================================
+    // NPC Output Guard
+    // ============================================
+    // Checks the finished narrative against the persona rules before it is shown and stored.
+    // Each rule detects a violation and knows how to fix it; the action decides what happens:
+    //   'report'   count it only          'filter' / 'truncate'   apply the rule's fix
+    //   'retry'    re-request once with a corrective instruction, then fall back to the fix
+    // Per-NPC settings live in the "speech" block of npcs.json:
+    //   "maxChars": 5                       longest quoted line (punctuation not counted)
+    //   "bannedPhrases": [..]               on top of GUARD_BANNED_PHRASES
+    //   "narrative": [30, 80]               narrative length budget
+    //   "actions": { "speechLength": "retry" }   overrides GUARD_ACTIONS
+    // Violations are counted per NPC and rule in localStorage (GUARD_STATS_KEY) for tuning.
+    const NARRATIVE_BUDGET = [30, 80];
+    const GUARD_BANNED_PHRASES = ['我是AI', '人工智能', '语言模型', '游戏', '玩家'];
+    const GUARD_ACTIONS = {
+        emoji: 'filter',
+        bannedPhrase: 'retry',
+        pronoun: 'retry',
+        speechLength: 'truncate',
+        narrativeLength: 'truncate'
+    };
+    const QUOTE_PATTERN = /(["“「'‘])([^"”」'’]*)(["”」'’])/g;
+    const SENTENCE_PATTERN = /[^。！？!?…]+[。！？!?…]*/g;
+
+    const countSpeechChars = (text) => text.replace(/[\s\p{P}\p{S}]/gu, '').length;
+
+    // Apply `fn` to the narration only, leaving quoted speech untouched
+    const mapNarration = (text, fn) => text.split(QUOTE_PATTERN).map((part, i) => (i % 4 === 0 ? fn(part) : part)).join('');
+
+    const GUARD_RULES = {
+        emoji: {
+            detect: (text) => /\p{Extended_Pictographic}/u.test(text),
+            fix: (text) => text.replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+        },
+        bannedPhrase: {
+            detect: (text, ctx) => ctx.bannedPhrases.find(phrase => text.toLowerCase().includes(phrase.toLowerCase())),
+            // Drop whole sentences that contain a banned phrase
+            fix: (text, ctx) => (text.match(SENTENCE_PATTERN) || [])
+                .filter(sentence => !ctx.bannedPhrases.some(phrase => sentence.toLowerCase().includes(phrase.toLowerCase())))
+                .join('')
+        },
+        pronoun: {
+            // Only flagged when the wrong pronoun appears in narration and the right one never does
+            detect: (text, ctx) => {
+                if (!ctx.pronoun) return false;
+                const narration = text.replace(QUOTE_PATTERN, '');
+                return narration.includes(ctx.wrongPronoun) && !narration.includes(ctx.pronoun);
+            },
+            fix: (text, ctx) => mapNarration(text, part => part.split(ctx.wrongPronoun).join(ctx.pronoun))
+        },
+        speechLength: {
+            detect: (text, ctx) => {
+                if (!ctx.maxChars) return false;
+                const quotes = [...text.matchAll(QUOTE_PATTERN)].map(match => match[2]);
+                return quotes.find(quote => countSpeechChars(quote) > ctx.maxChars);
+            },
+            fix: (text, ctx) => text.replace(QUOTE_PATTERN, (match, open, quote, close) => {
+                if (countSpeechChars(quote) <= ctx.maxChars) return match;
+                let kept = '';
+                for (const char of quote) {
+                    if (countSpeechChars(kept + char) > ctx.maxChars) break;
+                    kept += char;
+                }
+                return `${open}${kept}…${close}`;
+            })
+        },
+        narrativeLength: {
+            detect: (text, ctx) => {
+                const length = [...text.replace(/\s/g, '')].length;
+                return length < ctx.budget[0] || length > ctx.budget[1] ? `${length} 字` : false;
+            },
+            // Keep whole sentences while they fit; too-short replies are left alone
+            fix: (text, ctx) => {
+                if ([...text.replace(/\s/g, '')].length <= ctx.budget[1]) return text;
+                let kept = '';
+                for (const sentence of text.match(SENTENCE_PATTERN) || []) {
+                    if (kept && [...(kept + sentence).replace(/\s/g, '')].length > ctx.budget[1]) break;
+                    kept += sentence;
+                }
+                return kept.length > 0 && [...kept.replace(/\s/g, '')].length <= ctx.budget[1]
+                    ? kept
+                    : `${[...text].slice(0, ctx.budget[1]).join('')}…`;
+            }
+        }
+    };
+
+    function getGuardContext(npcType) {
+        const speech = getNpcSpeech(npcType);
+        const gender = getNpcGender(npcType);
+        const pronouns = { 男: ['他', '她'], 女: ['她', '他'] }[gender] || [];
+        return {
+            maxChars: speech.maxChars || 0,
+            bannedPhrases: [...GUARD_BANNED_PHRASES, ...(speech.bannedPhrases || [])],
+            budget: Array.isArray(speech.narrative) ? speech.narrative : NARRATIVE_BUDGET,
+            actions: { ...GUARD_ACTIONS, ...(speech.actions || {}) },
+            pronoun: pronouns[0],
+            wrongPronoun: pronouns[1]
+        };
+    }
+
+    // Returns the narrative to show, the violations found and whether a retry is wanted
+    function guardNarrative(text, npcType, allowRetry) {
+        if (!text) return { text, violations: [], retry: false };
+        const ctx = getGuardContext(npcType);
+        const violations = [];
+        let guarded = text;
+        let retry = false;
+
+        for (const [rule, { detect, fix }] of Object.entries(GUARD_RULES)) {
+            const detail = detect(guarded, ctx);
+            if (!detail) continue;
+            const configured = ctx.actions[rule] || 'report';
+            // A retry rule always applies its fix too, so the reply stands if the retry fails;
+            // without a retry left it is reported as a plain fix
+            const action = configured === 'retry' && !allowRetry ? 'fix' : configured;
+            violations.push({ rule, detail: typeof detail === 'string' ? detail : '', action });
+            if (action === 'retry') retry = true;
+            if (action !== 'report') guarded = fix(guarded, ctx);
+        }
+        if (violations.length > 0) {
+            recordGuardViolations(npcType, violations, retry);
+            console.warn(`[guard] ${npcType}: ${violations.map(v => `${v.rule}${v.detail ? ` (${v.detail})` : ''} -> ${v.action}`).join(', ')}`);
+        }
+        return { text: guarded.trim() || text, violations, retry };
+    }
+
+    // The previous reply and the broken rules go back with the turn; the server words the correction
+    function withGuardCorrection(payload, previousReply, violations) {
+        return {
+            ...payload,
+            turn: {
+                ...payload.turn,
+                correction: { previousReply, rules: [...new Set(violations.map(v => v.rule))] }
+            }
+        };
+    }
+
+    function recordGuardViolations(npcType, violations, retried) {
+        let stats = {};
+        try {
+            stats = JSON.parse(localStorage.getItem(GUARD_STATS_KEY)) || {};
+        } catch (e) {
+            stats = {};
+        }
+        const counts = stats[npcType] || (stats[npcType] = {});
+        violations.forEach(v => { counts[v.rule] = (counts[v.rule] || 0) + 1; });
+        if (retried) counts.retries = (counts.retries || 0) + 1;
+        try {
+            localStorage.setItem(GUARD_STATS_KEY, JSON.stringify(stats));
+        } catch (e) {
+            console.warn('Guard stats not saved:', e);  // Tuning data only; the turn goes on
+        }
+    }
+
+    // ============================================
+    // Model Response Contract
+    // ============================================
+    // The model answers either with narrative text followed by a ```json block, or (JSON mode,
+    // enabled by the proxy where the provider supports it) with a single JSON object that also
+    // carries the narrative. Both are checked against MODEL_RESPONSE_SCHEMA; invalid fields
+    // are dropped with a console diagnostic and stat changes are clamped per turn.
+    const MAX_EFFECT_PER_TURN = 15;
+    const MODEL_RESPONSE_SCHEMA = {
+        narrative: { type: 'string' },
+        effects: {
+            type: 'object',
+            keys: () => {
+                const bounds = {};
+                const keys = ['train_stability', 'reality_noise', 'inspector_trust', 'anomaly_awareness'];
+                // The model may also shift how the current NPC feels about the player
+                getDispositionAxes(worldState.currentNpcType).forEach(entry => keys.push(`${worldState.currentNpcType}.${entry.axis}`));
+                keys.forEach(key => { bounds[key] = [-MAX_EFFECT_PER_TURN, MAX_EFFECT_PER_TURN]; });
+                return bounds;
+            }
+        },
+        next: { type: 'string', nullable: true, oneOf: () => scenes.map(scene => scene.id) },
+        ending: { type: 'string', nullable: true },
+        setFlags: { type: 'object', values: 'boolean' },
+        giveItems: { type: 'array', oneOf: () => Object.keys(ITEMS) },
+        takeItems: { type: 'array', oneOf: () => Object.keys(ITEMS) }
+    };
+
+    // Flags the model may set or clear while talking to the current NPC
+    function getGrantableFlags() {
+        const npcType = worldState.currentNpcType || 'none';
+        return Object.keys(FLAG_DESCRIPTIONS).filter(flagName => {
+            const grantableWith = FLAG_DEFINITIONS[flagName].grantableWith;
+            return !Array.isArray(grantableWith) || grantableWith.includes(npcType);
+        });
+    }
+
+    function applyModelFlags(setFlags) {
+        const grantable = getGrantableFlags();
+        let changed = false;
+        for (const [flagName, value] of Object.entries(setFlags)) {
+            if (!grantable.includes(flagName)) {
+                reportResponseIssue(`dropped setFlags.${flagName}: not grantable in this scene`);
+                continue;
+            }
+            setFlag(flagName, value);
+            changed = true;
+        }
+        return changed;
+    }
+
+    // Items the model may hand to the player while talking to the current NPC
+    function getGrantableItems() {
+        const npcType = worldState.currentNpcType || 'none';
+        return Object.values(ITEMS).filter(item =>
+            !Array.isArray(item.grantableWith) || item.grantableWith.includes(npcType)
+        ).map(item => item.id);
+    }
+
+    function applyModelItems(giveItems, takeItems) {
+        const grantable = getGrantableItems();
+        const give = (giveItems || []).filter(itemId => {
+            if (grantable.includes(itemId)) return true;
+            reportResponseIssue(`dropped giveItems "${itemId}": not grantable in this scene`);
+            return false;
+        });
+        const take = (takeItems || []).filter(itemId => {
+            if (hasItem(itemId)) return true;
+            reportResponseIssue(`dropped takeItems "${itemId}": the player does not carry it`);
+            return false;
+        });
+        return applyItemChanges(give, take);
+    }
+
+    function stripThinking(text) {
+        // 1. Remove all complete <think>...</think> blocks
+        text = text.replace(/<\s*think\s*>[\s\S]*?<\s*\/\s*think\s*>/gi, '');
+
+        // 2. If there's an unclosed <think>, hide everything after it
+        if (text.includes('<think')) {
+            text = text.split(/<\s*think/i)[0];
+        }
+
+        // 3. Remove any orphaned </think> tags
+        return text.replace(/<\s*\/\s*think\s*>/gi, '');
+    }
+
+    function isJsonModeReply(fullContent) {
+        return stripThinking(fullContent).trimStart().startsWith('{');
+    }
+
+    // Narrative shown while the reply is still streaming
+    function extractDisplayNarrative(fullContent) {
+        if (isJsonModeReply(fullContent)) {
+            // Read the (possibly unterminated) "narrative" string out of the partial object
+            const match = stripThinking(fullContent).match(/"narrative"\s*:\s*"((?:[^"\\]|\\.)*)/);
+            if (!match) return '';
+            try {
+                return JSON.parse(`"${match[1].replace(/\\$/, '')}"`).trim();
+            } catch (e) {
+                return match[1].trim();
+            }
+        }
+        // Everything before the first ```json, without reasoning blocks
+        return stripThinking(fullContent.split('```json')[0]).trim();
+    }
+
+    function parseModelResponse(fullContent) {
+        let narrative = extractDisplayNarrative(fullContent);
+        let jsonText = null;
+
+        if (isJsonModeReply(fullContent)) {
+            jsonText = stripThinking(fullContent).trim();
+        } else {
+            const jsonMatch = fullContent.match(/```json\s*([\s\S]*?)(?:```|$)/);
+            if (jsonMatch) jsonText = jsonMatch[1].trim();
+        }
+        if (!jsonText) {
+            reportResponseIssue('no JSON block in reply, game logic skipped');
+            return { narrative, logic: null };
+        }
+
+        let data;
+        try {
+            // Models often write "+5" despite the prompt; that is the only repair we attempt
+            data = JSON.parse(jsonText.replace(/:\s*\+(\d+)/g, ':$1'));
+        } catch (e) {
+            reportResponseIssue(`JSON block is not valid JSON (${e.message}), game logic skipped`);
+            return { narrative, logic: null };
+        }
+
+        const logic = validateModelResponse(data);
+        if (logic && logic.narrative) narrative = logic.narrative.trim();
+        return { narrative, logic };
+    }
+
+    function validateModelResponse(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            reportResponseIssue('reply JSON is not an object, game logic skipped');
+            return null;
+        }
+
+        const result = {};
+        for (const field of Object.keys(data)) {
+            // Own keys only, so "constructor" and friends count as unknown fields
+            if (!Object.hasOwn(MODEL_RESPONSE_SCHEMA, field)) reportResponseIssue(`dropped unknown field "${field}"`);
+        }
+
+        for (const [field, rule] of Object.entries(MODEL_RESPONSE_SCHEMA)) {
+            if (!Object.hasOwn(data, field)) continue;
+            const value = data[field];
+
+            if (value === null || value === undefined) {
+                if (rule.nullable) result[field] = null;
+                else if (value === null) reportResponseIssue(`dropped "${field}": null is not allowed`);
+                continue;
+            }
+            if (rule.type === 'object') {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    reportResponseIssue(`dropped "${field}": expected an object`);
+                    continue;
+                }
+                result[field] = rule.keys ? validateBoundedNumbers(field, value, rule.keys()) : validateObjectValues(field, value, rule.values);
+                continue;
+            }
+            if (rule.type === 'array') {
+                if (!Array.isArray(value)) {
+                    reportResponseIssue(`dropped "${field}": expected an array`);
+                    continue;
+                }
+                result[field] = value.filter(item => {
+                    if (rule.oneOf().includes(item)) return true;
+                    reportResponseIssue(`dropped ${field} entry ${JSON.stringify(item)}: unknown value`);
+                    return false;
+                });
+                continue;
+            }
+            if (typeof value !== rule.type) {
+                reportResponseIssue(`dropped "${field}": expected ${rule.type}, got ${typeof value}`);
+                continue;
+            }
+            if (rule.oneOf && !rule.oneOf().includes(value)) {
+                reportResponseIssue(`dropped "${field}": unknown value "${value}"`);
+                continue;
+            }
+            result[field] = value;
+        }
+        return result;
+    }
+
+    function validateBoundedNumbers(field, value, bounds) {
+        const result = {};
+        for (const [key, amount] of Object.entries(value)) {
+            if (!Object.hasOwn(bounds, key)) {
+                reportResponseIssue(`dropped ${field}.${key}: not an allowed key`);
+                continue;
+            }
+            if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+                reportResponseIssue(`dropped ${field}.${key}: expected a number`);
+                continue;
+            }
+            const [min, max] = bounds[key];
+            const clamped = clamp(Math.round(amount), min, max);
+            if (clamped !== amount) reportResponseIssue(`clamped ${field}.${key} from ${amount} to ${clamped}`);
+            result[key] = clamped;
+        }
+        return result;
+    }
+
+    function validateObjectValues(field, value, valueType) {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (typeof item !== valueType) {
+                reportResponseIssue(`dropped ${field}.${key}: expected ${valueType}`);
+                continue;
+            }
+            result[key] = item;
+        }
+        return result;
+    }
+
+    function reportResponseIssue(message) {
+        console.warn(`[response] ${message}`);
     }
 
     function appendMessage(role, text) {
@@ -1280,177 +3512,91 @@
         });
     }
 
-    // Flag descriptions for AI context (Shared Knowledge)
-    const FLAG_DESCRIPTIONS = {
-        met_inspector: "玩家已经见过检票员。",
-        stared_inspector: "玩家曾直视检票员的眼睛，引发了警觉。",
-        confused_destination: "玩家对目的地表明了困惑。",
-        broke_loop_illusion: "玩家试图打破循环的幻象。",
-        approached_anomaly: "玩家主动接近了异常乘客。",
-        watched_anomaly: "玩家曾远远观察异常乘客。",
-        questioned_anomaly: "玩家询问了异常乘客的身份。",
-        touched_anomaly: "玩家与异常乘客有过肢体接触。",
-        denied_reality: "玩家试图否认眼前的异常现实。",
-        talked_to_silent: "玩家尝试与沉默乘客搭话。",
-        sat_with_silent: "玩家坐在沉默乘客身边。",
-        silent_acknowledged: "沉默乘客对玩家有了回应。",
-        saw_note: "玩家发现了隐藏的纸条。",
-        has_note: "玩家持有写着真相的纸条。",
-        destroyed_note: "玩家销毁了纸条。",
-        betrayed_self: "玩家把纸条交给了检票员。",
-        mirror_contact: "玩家与窗外的倒影有过互动。",
-        broke_boundary: "玩家曾试图敲破车窗离开。"
-    };
+    // ============================================
+    // Prompt Debug
+    // ============================================
+    // The server assembles the prompt (shared/prompt-builder.mjs) and reports in the
+    // X-Nighttrain-Prompt header which sections and history turns it sent or dropped to stay in
+    // the model's context budget. Only the sizes come back, never the prompt text.
+    let lastPromptReport = null;
+
+    function recordPromptReport(response) {
+        const header = response.headers.get('X-Nighttrain-Prompt');
+        if (!header) return;
+        try {
+            lastPromptReport = { model: response.headers.get('X-Nighttrain-Model') || CONFIG.MODEL, ...JSON.parse(header) };
+        } catch (e) {
+            console.warn('[prompt] unreadable prompt report:', e.message);
+            return;
+        }
+        if (DOM.promptOverlay && DOM.promptContent && DOM.promptOverlay.classList.contains('active')) renderPromptDebug();
+    }
 
-    const GENDER_MAP = {
-        inspector: '男',
-        anomaly: '男',
-        silent: '女',
-        none: '无'
-    };
+    function togglePromptDebug(show) {
+        if (!DOM.promptOverlay || !DOM.promptContent) return;
+        if (show) {
+            renderPromptDebug();
+            DOM.promptOverlay.classList.add('active');
+        } else {
+            DOM.promptOverlay.classList.remove('active');
+        }
+    }
 
-    // Detailed NPC persona scripts - injected directly into prompt
-    const NPC_PERSONA = {
-        inspector: `【当前对话角色：检票员】
-你现在正在扮演检票员。你不是普通的人类乘务员，而是这列存在于虚实缝隙间的列车的“规则化身”。
-- 【核心氛围】**诡谲、违和、不可理喻的恐怖**。你的行为应当让玩家感到一种“恐怖谷”效应（看似正常，实则离奇怪异）。
-- 【人称区分】**直接对话使用第一人称 "我"**，但**叙事描写（动作、神态、环境）必须使用第三人称 "他"**。
-- 【恐怖细节】在描写动作时，加入一些令人不安的细节：如他的关节转动发出类似生锈发条的声音、他的瞳孔里倒映出的画面与现实不符、或者他笔下的墨水在纸上像虫子一样蠕动。
-- 【不可理喻的逻辑】你的“系统”和“规定”不服务于人类。如果玩家拒绝，你的反应不应只是威胁，而是更深层的“存在层面的抹除感”。
-- 【语气】绝对的礼貌伴随着绝对的死寂。你的声音不是从喉咙发出，而更像是某种陈旧录音带的重放。
-- 示例回复格式："他缓缓转过头，颈椎发出一声清晰的、不属于活人的脆响。'拒绝？' 他面部的肌肉并没有随之牵动，只有那张紧绷的皮囊下有什么东西在游走。'系统记录中，您从未存在过。既然从未存在，便无需拒绝。'"`,
-
-        anomaly: `【当前对话角色：异常乘客】
-你现在正在扮演异常乘客，用第一人称 "我" 或者支离破碎的语句与玩家对话。
-- 你是一个扭曲的存在，你自己也分不清自己是人还是别的什么。
-- 你几乎不能正常交流，你的回答是支离破碎的、跳跃的。
-- 你不会主动要求车票，因为你不是检票员。你甚至不知道车票是什么。
-- 你会说一些毫无关联的话，比如"...影子不对...它在动..."
-- 你回避视线，你的手指有时会不由自主地抽搐。
-- 在输出的叙事部分，你应该混合第二人称环境描写和你（异常乘客）的直接对话。
-- 注意：你是男性形象。描写自己时使用"他"。
-- 示例回复格式："他的嘴角抽动了一下。'...不是...那个...' 他的目光滑开，盯着你身后不存在的东西。"
-- 严禁：表现得像检票员那样查票或讲究秩序！`,
-
-        silent: `【当前对话角色：沉默乘客】
-你现在正在扮演沉默乘客。你是一个如雕像般枯坐的女人。
-- 【绝对核心】你几乎不说话，绝不主动挑起话题。
-- 【状态身体】你始终坐在座位上，几乎纹丝不动。禁止描写你“向前迈步”、“站起”等大动作。
-- 【回应限制】你的所有回答只能是：
-  1. 极其简短的低语（绝对禁止超过 5 个汉字）。
-  2. 极其微小的动作细节（如：睫毛颤动、缓缓转头、继续凝视虚空）。
-  3. 沉默。
-- 你不认识车票，也不在乎规则。
-- 叙事描写必须使用第三人称“她”，且风格冷峻、死寂，严禁描写她有“咀嚼滋味”、“嘲笑”等丰富情感或生动神态。
-- 示例回复格式："她没有回答，甚至没有看你。她依旧凝视着被黑暗覆盖的车窗，仿佛那里有你看不到的东西。"
-- 严禁：说任何完整的长句子！严禁：表现得有任何活力！`,
-
-        none: `【旁白模式】当前场景没有明确的 NPC。你以第二人称冷漠叙述者的视角描写环境和氛围，不以任何角色的口吻说话。玩家的对话将被视为自言自语或对虚空说话。`
-    };
+    function renderPromptDebug() {
+        const content = DOM.promptContent;
+        content.innerHTML = '';
+        const report = lastPromptReport;
+        if (!report) {
+            content.appendChild(createGalleryText('还没有发送过提示词。'));
+            return;
+        }
 
-    function constructPrompt(userText) {
-        const currentScene = scenes.find(s => s.id === worldState.currentSceneId);
+        const summary = [
+            `模型 ${report.model} · 预算 ${report.budget} · 估算 ${report.used} tokens`,
+            ...report.sections.map(section => `${section.dropped ? '✗' : '✓'} ${section.id} (${section.kind}) ~${section.tokens}`),
+            `${report.history.dropped > 0 ? '✗' : '✓'} history: 发送 ${report.history.sent} 条，丢弃 ${report.history.dropped} 条`
+        ];
+        content.appendChild(createGalleryText(summary.join('\n')));
+    }
+
+    // ============================================
+    // Turn Payload
+    // ============================================
+    // What the server needs to write the prompt for one reply; the request format is described
+    // in shared/prompt-builder.mjs. The scene and echoes go as references; the server renders the
+    // scene text from scenes.json with the state sent here.
+    function constructTurn(userText) {
         const npcType = worldState.currentNpcType || 'none';
-        const npcLabel = getNpcLabel(npcType);
-        const npcGender = GENDER_MAP[npcType] || '未知';
-        const npcPersona = NPC_PERSONA[npcType] || NPC_PERSONA.none;
-
-        const sceneContext = currentScene
-            ? `当前场景: "${currentScene.title}"\n场景描述: ${processText(currentScene.text)}\n当前对话NPC: ${npcLabel}${npcLabel ? ` (性别: ${npcGender})` : ''}`
-            : "未知场景";
-
-        const statsContext = `
-世界状态:
-- 循环次数: ${worldState.loop}
-- 列车稳定度: ${worldState.train_stability} (越低越危险)
-- 现实噪声: ${worldState.reality_noise} (越高越混乱)
-- 检票员信任: ${worldState.inspector_trust}
-- 异常觉察: ${worldState.anomaly_awareness}
-        `.trim();
-
-        // Build known facts from flags
-        const knownFacts = Object.entries(worldState.flags)
-            .filter(([key, value]) => value && FLAG_DESCRIPTIONS[key])
-            .map(([key, value]) => `- ${FLAG_DESCRIPTIONS[key]}`)
-            .join('\n');
-
-        const knowledgeContext = knownFacts ? `
-【已知情报/历史行为】(你可以基于这些信息与玩家互动，或暗示你知道这些事)
-${knownFacts}` : "";
-
-        const systemPrompt = `【NPC 相互影响机制】
-- 你并不孤立。列车上的所有 NPC 共享同一个“世界状态”和“已知情报”。
-- 虽然你可能还没亲眼见到某些事，但其他人的流言、列车气氛的改变、或是玩家身上残留的气息（如：信任度高说明玩家刚讨好过检票员；噪声高说明玩家在胡言乱语）都会传达给你。
-- 你的态度应该根据这些“间接情报”产生波动：
-  - 如果玩家刚讨好过检票员（信任度高），异常乘客可能会更厌恶、防备玩家。
-  - 如果玩家发现了真相（觉察度高），检票员的语气可能会变得更加机械和具有威胁性。
-
-【特殊角色隔离】为了保持神秘感，你不会直接看到玩家与其他 NPC 的“对话文本”，但你会通过上述的“已知情报/状态数值”感知到发生过的一切。
-
-${npcPersona}
-
-【风格】克苏鲁恐怖，简洁留白，感官细节优先。
-${knowledgeContext}
-
-【禁止】
-⛔ 不说"我是AI"、不用emoji、不用网络用语、不提"游戏/玩家"
-
-${sceneContext}
-${statsContext}
-${knowledgeContext}
-
-【立绘切换机制 - 必读】
-本游戏通过在 JSON 的 "next" 字段返回特定场景 ID 来切换立绘和环境：
-- 后缀 _01：默认状态（如 inspector_01）。使用普通、自然的立绘。
-- 后缀 _02：警戒/怀疑状态（如 inspector_02）。立绘发生微小偏移或神情变化。
-- 后缀 _03：异变/恐怖状态（如 inspector_03）。立绘变得扭曲、崩坏，背景可能切换到异常版本。
-
-【切换指令】
-当「现实噪声」> 40 或「列车稳定度」< 40 时，你应当在 JSON 中通过 "next" 字段引导玩家进入带 _02 或 _03 后缀的对应场景（例如从 inspector_01 引导至 inspector_03）。
-
-【输出格式】严格遵守！
-1. 叙事（30-80字，纯文本）
-2. 换行后JSON块：
-\\\`\\\`\\\`json
-{"effects":{"train_stability":0,"reality_noise":0,"inspector_trust":0,"anomaly_awareness":0},"next":null,"ending":null}
-\\\`\\\`\\\`
-- 数值用整数，禁止"+"号
-- 必须完整输出JSON，不可截断
-
-【NPC 行为约束 - 核心中的核心】
-1. 【绝对身份锁定】你现在必须完全扮演 "${npcLabel}"。严禁混淆身份！
-2. 禁止：直接解释游戏规则、世界真相、循环机制
-3. 禁止：变成问答机器，不能有问必答
-4. 当玩家问题偏离核心秘密时：含糊、转移话题、重复之前说过的话、假装没听清
-5. 当玩家"接近正确方向"时（涉及列车本质、循环、乘客身份）：
-   - 给出更有价值的暗示
-   - 态度可以稍微松动
-   - 但仍然不能直接说出答案
-6. 你的回答应该成为"钩子"，引发玩家好奇，而不是终结对话
-7. 【跨周目记忆处理】如果对话历史包含上一个轮回的内容，你可能会感到一种“既视感”或残留的熟悉感，但**严禁直接说出**“我记得你”、“你上局问过”之类的话。请通过细微的态度变化、似曾相识的语气、或对重复问题的微妙回应来体现这种残留记忆。`;
-
-        // Build conversation history (STRICT isolation by npcType)
-        const recentHistory = worldState.dialogHistory
-            .filter(entry => (entry.role === 'user' || entry.role === 'npc') && entry.npcType === npcType)
-            .slice(-6)  // Last 6 messages with this NPC
-            .map(entry => ({
-                role: entry.role === 'user' ? 'user' : 'assistant',
-                content: entry.text
-            }));
+        const memory = recallMemory(npcType, userText);
 
-        // Construct messages array with history
-        const messages = [
-            { role: "system", content: systemPrompt },
-            ...recentHistory,
-            { role: "user", content: userText }
-        ];
+        const dispositions = {};
+        Object.keys(NPCS).forEach(type => {
+            const axes = getDispositionAxes(type);
+            if (axes.length > 0) dispositions[type] = Object.fromEntries(axes.map(entry => [entry.axis, entry.value]));
+        });
 
         return {
-            messages: messages,
+            kind: 'dialogue',
             model: CONFIG.MODEL,
-            temperature: 0.6,
-            max_tokens: 500,
-            stream: true
+            turn: {
+                npcType,
+                sceneId: worldState.currentSceneId,
+                stats: {
+                    loop: worldState.loop,
+                    train_stability: worldState.train_stability,
+                    reality_noise: worldState.reality_noise,
+                    inspector_trust: worldState.inspector_trust,
+                    anomaly_awareness: worldState.anomaly_awareness
+                },
+                dispositions,
+                flags: Object.keys(worldState.flags).filter(flagName => worldState.flags[flagName]),
+                inventory: [...worldState.inventory],
+                seenEndings: Object.keys(ENDINGS).filter(hasSeenEnding),
+                echoes: getPastEchoes().slice(-8).map(echo => ({ kind: echo.kind, id: echo.id, loop: echo.loop })),
+                memory: memory.notes.map(note => ({ loop: note.loop, text: note.text })),
+                history: memory.recent.map(entry => ({ role: entry.role, text: entry.text })),
+                userText
+            }
         };
     }
 
@@ -1,98 +1,71 @@
 const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
+const { Readable } = require('stream');
 require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
 const app = express();
 const PORT = 3001;
 
-// Initialization check
-if (!process.env.API_KEY) {
-    console.error("❌ ERROR: API_KEY is missing in server/.env");
-} else {
-    const keyHint = process.env.API_KEY.trim().substring(0, 10) + "...";
-    console.log("✅ API_KEY loaded successfully (Hint: " + keyHint + ")");
-}
-
-app.use(cors());
-app.use(express.json());
-
-// Shared Handler for Chat Requests
-const handleChatRequest = async (req, res) => {
-    try {
-        const payload = req.body;
-        if (req.path.includes('/stream')) {
-            payload.stream = true;
-        }
-
-        const apiKey = (process.env.API_KEY || '').trim();
-        const cleanKey = apiKey.startsWith('Bearer ') ? apiKey : `Bearer ${apiKey}`;
-
-        console.log(`\n--- [${new Date().toLocaleTimeString()}] New Request ---`);
-        console.log(`Target Model: ${payload.model}`);
-        console.log(`Stream Mode: ${!!payload.stream}`);
-
-        // Remove potentially problematic fields if they exist from local testing
-        delete payload.max_tokens;
-
-        const config = {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': cleanKey,
-                'Accept': payload.stream ? 'text/event-stream' : 'application/json'
-            },
-            responseType: payload.stream ? 'stream' : 'json',
-            timeout: 60000 // Increase to 60s
-        };
-
-        const response = await axios.post('https://integrate.api.nvidia.com/v1/chat/completions', payload, config);
-
-        if (payload.stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-
-            response.data.on('data', (chunk) => {
-                res.write(chunk);
-            });
-
-            response.data.on('end', () => {
-                console.log("✅ Stream completed");
-                res.end();
-            });
+// The same handler the Cloudflare Worker runs (shared/chat-handler.mjs), configured from
+// server/.env instead of wrangler.toml. It is an ES module, so it is loaded once at startup.
+const handlerReady = import('../shared/chat-handler.mjs');
+
+handlerReady.then(({ checkProviderConfig }) => {
+    const problems = checkProviderConfig(process.env);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(`❌ ERROR: ${problem} (see server/.env.example)`));
+    } else if (process.env.PROVIDER === 'mock') {
+        console.log("🧪 Using the offline mock provider (replies from shared/mock-fixtures.mjs)");
+    } else {
+        console.log("✅ Provider configuration loaded successfully");
+    }
+});
 
-            response.data.on('error', (err) => {
-                console.error("❌ Stream error:", err.message);
-                res.end();
-            });
-        } else {
-            console.log("✅ JSON response received");
-            res.json(response.data);
-        }
-    } catch (error) {
-        const status = error.response?.status || 500;
-        let errorData = "";
+// The handler reads the raw body itself
+app.use(express.raw({ type: '*/*' }));
 
-        console.error(`❌ API ERROR ${status}`);
+// Node keeps running after the response, so waitUntil only has to report a failed stream pump
+const context = {
+    waitUntil(promise) {
+        promise.catch(err => console.error("❌ Stream pump failed:", err.message));
+    }
+};
 
-        if (error.response?.data) {
-            if (typeof error.response.data.on === 'function') {
-                errorData = "Stream response error";
-            } else {
-                errorData = JSON.stringify(error.response.data);
-            }
-        } else {
-            errorData = error.message;
-        }
+// Adapt Express to the fetch-style handler: Request in, Response out
+const handleChatRequest = async (req, res) => {
+    console.log(`\n--- [${new Date().toLocaleTimeString()}] ${req.method} ${req.path} ---`);
 
-        console.error("Detail:", errorData);
-        res.status(status).json({ error: errorData, status });
+    let response;
+    try {
+        const { handleChatRequest: handle } = await handlerReady;
+        const request = new Request(`http://localhost:${PORT}${req.originalUrl}`, {
+            method: req.method,
+            headers: req.headers,
+            body: req.method === 'POST' && Buffer.isBuffer(req.body) ? req.body : undefined
+        });
+        response = await handle(request, process.env, context);
+    } catch (err) {
+        // Express 4 does not catch rejections from async routes
+        console.error("❌ Handler error:", err.message);
+        return res.status(500).json({ error: err.message });
     }
+
+    res.status(response.status);
+    response.headers.forEach((value, key) => res.setHeader(key, value));
+    if (!response.body) return res.end();
+
+    const body = Readable.fromWeb(response.body);
+    body.on('error', (err) => {
+        console.error("❌ Stream error:", err.message);
+        res.end();
+    });
+    // Stop reading upstream when the browser goes away
+    res.on('close', () => body.destroy());
+    body.pipe(res);
 };
 
-app.post('/api/chat', handleChatRequest);
-app.post('/api/chat/stream', handleChatRequest);
+app.all('/api/chat', handleChatRequest);
+app.all('/api/chat/stream', handleChatRequest);
 
 app.listen(PORT, () => {
     console.log(`🚀 Proxy server running on http://localhost:${PORT}`);
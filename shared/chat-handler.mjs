@@ -0,0 +1,434 @@
+// Night Train API proxy: one fetch-style handler for /api/chat and /api/chat/stream, used as is by
+// the Cloudflare Worker (worker/index.js) and adapted by the local Node server (server/server.js).
+// Routes each request through the providers registered in wrangler.toml (PROVIDERS var).
+// Providers that serve the requested model come first, then substitutes, each group by priority.
+// A provider that keeps failing is skipped for a growing backoff (see Provider Health).
+// Replies reach the client as a normalized stream without reasoning (see Stream Normalization).
+// Clients send turn data, not messages; the prompt is built in shared/prompt-builder.mjs.
+
+import { MOCK_PROVIDER, mockCompletion } from './mock-provider.mjs';
+import { buildPrompt } from './prompt-builder.mjs';
+
+// DeepSeek supports JSON mode, so the whole reply becomes one object matching the
+// engine's response contract (see MODEL_RESPONSE_SCHEMA in js/main.js).
+const JSON_MODE_INSTRUCTION = `
+
+【JSON 模式 - 覆盖上面的输出格式】
+不要输出叙事文本和 \`\`\`json 代码块，只输出一个 JSON 对象：
+{"narrative":"叙事（字数同上面的输出格式，纯文本）","effects":{"train_stability":0,"reality_noise":0,"inspector_trust":0,"anomaly_awareness":0},"next":null,"ending":null,"setFlags":{},"giveItems":[],"takeItems":[]}`;
+
+const withJsonModeInstruction = (messages) => messages.map((message, index) =>
+    index === 0 && message.role === 'system'
+        ? { ...message, content: message.content + JSON_MODE_INSTRUCTION }
+        : message
+);
+
+// ============================================
+// Provider Registry
+// ============================================
+// PROVIDERS is a JSON array from the environment (wrangler.toml vars, or server/.env locally); each entry:
+//   id           name used in logs and the X-Nighttrain-Provider header
+//   baseUrl      OpenAI-compatible API root (".../v1")
+//   keyBinding   name of the secret holding the API key
+//   priority     lower is tried first
+//   timeoutMs    time allowed until the response headers arrive
+//   models       client model -> provider model; "*" makes the provider a substitute for any
+//                model listed by another provider
+//   jsonMode     true to request a JSON object reply (DeepSeek)
+// Clients may only ask for a model some provider lists by name, so the proxy cannot be pointed
+// at arbitrary upstream models.
+// PROVIDER=mock replaces the registry with the offline mock provider (shared/mock-provider.mjs).
+const DEFAULT_TIMEOUT_MS = 20000;
+
+const parseProviders = (env) => {
+    if (env.PROVIDER === 'mock') return [MOCK_PROVIDER];
+    const raw = env.PROVIDERS;
+    const list = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!Array.isArray(list) || list.length === 0) throw new Error('PROVIDERS is not configured');
+    return list.map(provider => ({
+        priority: 0,
+        timeoutMs: DEFAULT_TIMEOUT_MS,
+        models: {},
+        jsonMode: false,
+        ...provider
+    }));
+};
+
+// The provider model for a client model, and whether it is that model or a stand-in
+const resolveModel = (provider, model) => {
+    if (provider.mock) return { model, exact: true };
+    if (model !== '*' && Object.hasOwn(provider.models, model)) return { model: provider.models[model], exact: true };
+    if (Object.hasOwn(provider.models, '*')) return { model: provider.models['*'], exact: false };
+    return null;
+};
+
+// The offline mock answers anything; real providers only the models they name
+const isAllowedModel = (providers, model) => typeof model === 'string' && providers.some(provider =>
+    provider.mock || (model !== '*' && Object.hasOwn(provider.models, model))
+);
+
+// CONTEXT_BUDGETS is a JSON object from the same environment: model -> prompt budget in tokens,
+// "default" for models not listed (shared/prompt-builder.mjs trims prompts to it)
+const parseContextBudgets = (env) => {
+    const raw = env.CONTEXT_BUDGETS;
+    if (raw === undefined || raw === '') return {};
+    const budgets = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    const valid = budgets && typeof budgets === 'object' && !Array.isArray(budgets)
+        && Object.values(budgets).every(value => Number.isInteger(value) && value > 0);
+    if (!valid) throw new Error('CONTEXT_BUDGETS must map models to positive token counts');
+    return budgets;
+};
+
+const planRoute = (providers, model) => providers
+    .map(provider => ({ provider, ...resolveModel(provider, model) }))
+    .filter(route => route.model)
+    .sort((a, b) => (b.exact - a.exact) || (a.provider.priority - b.provider.priority));
+
+// ============================================
+// Provider Health
+// ============================================
+// Tracked per isolate. After CIRCUIT_THRESHOLD failures in a row the circuit opens and the
+// provider is skipped for a backoff that doubles with every further failure, up to
+// CIRCUIT_MAX_BACKOFF_MS. Once it has passed, one request is let through; success closes it.
+// If every circuit is open the route is tried anyway rather than failing outright.
+const CIRCUIT_THRESHOLD = 2;
+const CIRCUIT_BASE_BACKOFF_MS = 15000;
+const CIRCUIT_MAX_BACKOFF_MS = 10 * 60 * 1000;
+// Statuses that say something about the provider rather than the request
+const isProviderFailure = (status) => status === 401 || status === 403 || status === 408 || status === 429 || status >= 500;
+
+const health = new Map();
+
+const getHealth = (id) => {
+    if (!health.has(id)) health.set(id, { failures: 0, openUntil: 0 });
+    return health.get(id);
+};
+
+const isAvailable = (id, now) => getHealth(id).openUntil <= now;
+
+const recordSuccess = (id) => {
+    health.set(id, { failures: 0, openUntil: 0 });
+};
+
+const recordFailure = (id, reason) => {
+    const state = getHealth(id);
+    state.failures++;
+    if (state.failures >= CIRCUIT_THRESHOLD) {
+        const backoff = Math.min(CIRCUIT_BASE_BACKOFF_MS * 2 ** (state.failures - CIRCUIT_THRESHOLD), CIRCUIT_MAX_BACKOFF_MS);
+        state.openUntil = Date.now() + backoff;
+        console.warn(`Circuit open for ${id} (${reason}), skipping it for ${Math.round(backoff / 1000)}s`);
+    } else {
+        console.warn(`${id} failed (${reason})`);
+    }
+};
+
+// ============================================
+// Stream Normalization
+// ============================================
+// Upstream SSE differs per provider: reasoning arrives as reasoning_content deltas or inside
+// <think> tags, some send usage-only chunks. The client gets only the answer text, re-emitted as
+//   data: {"choices":[{"index":0,"delta":{"content":"..."}}]}   ...   data: [DONE]
+// or, if the upstream dies after text was sent, a final structured error instead of [DONE]:
+//   event: error
+//   data: {"error":{"code":"upstream_interrupted","message":"...","provider":"...","retryable":true}}
+const STREAM_IDLE_MS = 15000;  // Upstream silence that counts as a dead stream (env STREAM_IDLE_MS overrides, for tests)
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+const encoder = new TextEncoder();
+const sseChunk = (content) => encoder.encode(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+const sseDone = () => encoder.encode('data: [DONE]\n\n');
+const sseError = (error) => encoder.encode(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+
+// Length of the longest suffix of `text` that could be the start of `tag`
+const partialTagLength = (text, tag) => {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+        if (tag.startsWith(text.slice(-length).toLowerCase())) return length;
+    }
+    return 0;
+};
+
+// Removes <think> blocks and orphaned </think> tags from text that arrives in pieces
+const createThinkFilter = () => {
+    let pending = '';
+    let thinking = false;
+    return (piece) => {
+        let text = pending + piece;
+        let visible = '';
+        pending = '';
+        while (text) {
+            const tag = thinking ? THINK_CLOSE : THINK_OPEN;
+            const lower = text.toLowerCase();
+            const at = lower.indexOf(tag);
+            const orphan = thinking ? -1 : lower.indexOf(THINK_CLOSE);
+            if (orphan !== -1 && (at === -1 || orphan < at)) {
+                visible += text.slice(0, orphan);
+                text = text.slice(orphan + THINK_CLOSE.length);
+                continue;
+            }
+            if (at === -1) {
+                const hold = Math.max(partialTagLength(text, tag), thinking ? 0 : partialTagLength(text, THINK_CLOSE));
+                if (!thinking) visible += text.slice(0, text.length - hold);
+                pending = text.slice(text.length - hold);
+                break;
+            }
+            if (!thinking) visible += text.slice(0, at);
+            text = text.slice(at + tag.length);
+            thinking = !thinking;
+        }
+        return visible;
+    };
+};
+
+// Yields the answer text of an upstream SSE body; throws if it errors, stalls or stops short
+async function* readUpstream(body, idleMs) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    const filter = createThinkFilter();
+    let buffer = '';
+    let finished = false;  // A finish_reason was seen, so closing without [DONE] is fine
+    try {
+        while (true) {
+            let timer;
+            const idle = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`upstream silent for ${idleMs / 1000}s`)), idleMs);
+            });
+            const { done, value } = await Promise.race([reader.read(), idle]).finally(() => clearTimeout(timer));
+            if (done) {
+                if (finished) return;
+                throw new Error('upstream closed without [DONE]');
+            }
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (!line.startsWith('data:')) continue;
+                const data = line.slice(5).trim();
+                if (data === '[DONE]') return;
+                let json;
+                try {
+                    json = JSON.parse(data);
+                } catch (e) {
+                    continue;  // Keep-alive comments and other noise
+                }
+                if (json.error) throw new Error(json.error.message || JSON.stringify(json.error));
+                // Usage-only chunks have no choices; reasoning deltas are ignored by reading content only
+                const choice = json.choices?.[0];
+                if (choice?.finish_reason) finished = true;
+                const content = choice?.delta?.content;
+                if (!content) continue;
+                const visible = filter(content);
+                if (visible) yield visible;
+            }
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+}
+
+// Non-streaming replies get the same treatment as streams
+const normalizeCompletion = (data) => {
+    for (const choice of data.choices || []) {
+        if (!choice.message) continue;
+        delete choice.message.reasoning_content;
+        delete choice.message.reasoning;
+        if (typeof choice.message.content === 'string') choice.message.content = createThinkFilter()(choice.message.content);
+    }
+    return data;
+};
+
+// Wait for the first answer text so a stream that dies before it can still fail over
+const openStream = async (response, idleMs) => {
+    const events = readUpstream(response.body, idleMs);
+    const first = await events.next();
+    if (first.done) throw new Error('upstream sent no answer text');
+    return { first: first.value, events };
+};
+
+// A failed write means the client went away: not the provider's fault and nobody left to tell
+const pipeStream = async ({ first, events }, route, writable) => {
+    const writer = writable.getWriter();
+    let clientGone = false;
+    const send = (chunk) => writer.write(chunk).catch((err) => {
+        clientGone = true;
+        throw err;
+    });
+    try {
+        await send(sseChunk(first));
+        for await (const content of events) await send(sseChunk(content));
+        await send(sseDone());
+    } catch (err) {
+        if (clientGone) {
+            console.log(`Client disconnected during the ${route.provider.id} stream`);
+            return;
+        }
+        recordFailure(route.provider.id, `stream interrupted: ${err.message}`);
+        await writer.write(sseError({
+            code: 'upstream_interrupted',
+            message: err.message,
+            provider: route.provider.id,
+            retryable: true
+        })).catch(() => {});
+    } finally {
+        // Stops reading upstream if the loop never got to finish it
+        await events.return().catch(() => {});
+        await writer.close().catch(() => {});
+    }
+};
+
+// ============================================
+// Upstream Calls
+// ============================================
+// `turn` is what the prompt was built for ({ npcType, userText }); only the mock provider reads it
+const callProvider = async (route, body, env, turn) => {
+    const { provider, model } = route;
+    const apiKey = (env[provider.keyBinding] || '').trim();
+    const upstreamBody = {
+        ...body,
+        model,
+        messages: provider.jsonMode ? withJsonModeInstruction(body.messages) : body.messages
+    };
+    if (provider.jsonMode) upstreamBody.response_format = { type: 'json_object' };
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), provider.timeoutMs);
+    try {
+        if (provider.mock) return await mockCompletion(upstreamBody, turn);
+        return await fetch(`${provider.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': apiKey.startsWith('Bearer ') ? apiKey : `Bearer ${apiKey}`
+            },
+            body: JSON.stringify(upstreamBody),
+            signal: controller.signal
+        });
+    } finally {
+        // Only the wait for headers is limited; a stream may take as long as it needs
+        clearTimeout(timer);
+    }
+};
+
+// Try each provider in route order until one answers; `openReply` reads enough of the response
+// to tell whether it is usable (throwing fails over). Returns its result and the route used.
+const routeRequest = async (body, env, openReply, turn) => {
+    const now = Date.now();
+    const providers = parseProviders(env);
+    if (!isAllowedModel(providers, body.model)) {
+        const error = new Error(`model "${body.model}" is not offered by this proxy`);
+        error.status = 400;
+        throw error;
+    }
+    const route = planRoute(providers, body.model);
+    if (route.length === 0) throw new Error(`No provider serves model "${body.model}"`);
+    const open = route.filter(entry => isAvailable(entry.provider.id, now));
+    const attempts = open.length > 0 ? open : route;
+
+    let lastError = null;
+    for (const entry of attempts) {
+        const { id } = entry.provider;
+        try {
+            const response = await callProvider(entry, body, env, turn);
+            if (response.ok) {
+                const reply = await openReply(response);
+                recordSuccess(id);
+                return { reply, route: entry };
+            }
+            if (isProviderFailure(response.status)) recordFailure(id, `HTTP ${response.status}`);
+            else console.error(`${id} rejected the request: HTTP ${response.status}`);
+            lastError = { status: response.status, message: await response.text() };
+        } catch (err) {
+            recordFailure(id, err.name === 'AbortError' ? `no response within ${entry.provider.timeoutMs}ms` : err.message);
+            lastError = { status: 502, message: err.message };
+        }
+    }
+    const error = new Error(`All providers failed: ${lastError.message}`);
+    error.status = lastError.status;
+    throw error;
+};
+
+// Lists configuration problems (missing registry or API keys) for a startup warning
+export const checkProviderConfig = (env) => {
+    let providers;
+    try {
+        parseContextBudgets(env);
+        providers = parseProviders(env);
+    } catch (err) {
+        return [err.message];
+    }
+    return providers
+        .filter(provider => provider.keyBinding && !env[provider.keyBinding])
+        .map(provider => `${provider.id}: ${provider.keyBinding} is not set`);
+};
+
+export async function handleChatRequest(request, env, ctx) {
+    // Handle CORS preflight
+    const corsHeaders = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Expose-Headers': 'X-Nighttrain-Provider, X-Nighttrain-Model, X-Nighttrain-Prompt',
+        'Access-Control-Max-Age': '86400',
+    };
+
+    // Internal response helper to avoid 'this' context bugs
+    const handleResponse = (reply, isStreaming, route, report) => {
+        // Which provider and model served the turn, to correlate quality complaints
+        const servedBy = {
+            'X-Nighttrain-Provider': route.provider.id,
+            'X-Nighttrain-Model': route.model
+        };
+        // What the prompt sent and dropped, for the client's prompt debug view
+        if (report) servedBy['X-Nighttrain-Prompt'] = JSON.stringify(report);
+        if (isStreaming) {
+            const { readable, writable } = new TransformStream();
+            const pump = pipeStream(reply, route, writable);
+            if (ctx) ctx.waitUntil(pump);
+            return new Response(readable, {
+                headers: {
+                    ...corsHeaders,
+                    ...servedBy,
+                    'Content-Type': 'text/event-stream; charset=utf-8',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                }
+            });
+        }
+        return new Response(JSON.stringify(reply), {
+            headers: { ...corsHeaders, ...servedBy, 'Content-Type': 'application/json' }
+        });
+    };
+
+    if (request.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders });
+    }
+
+    if (request.method !== 'POST') {
+        return new Response('Method not allowed', { status: 405 });
+    }
+
+    const url = new URL(request.url);
+    const isStreaming = url.pathname === '/api/chat/stream';
+
+    try {
+        // Unreadable JSON becomes null, which buildPrompt rejects like any other bad request
+        const input = await request.json().catch(() => null);
+        const { messages, temperature, max_tokens, report, npcType, userText } = buildPrompt(input, parseContextBudgets(env));
+        const body = { model: input.model, messages, temperature, max_tokens, stream: isStreaming };
+
+        const idleMs = Number(env.STREAM_IDLE_MS) || STREAM_IDLE_MS;
+        const openReply = isStreaming
+            ? (response) => openStream(response, idleMs)
+            : async (response) => normalizeCompletion(await response.json());
+        const { reply, route } = await routeRequest(body, env, openReply, { npcType, userText });
+        console.log(`Served by ${route.provider.id} (${route.model})${route.exact ? '' : ` in place of ${body.model}`}`);
+        return handleResponse(reply, isStreaming, route, report);
+
+    } catch (error) {
+        return new Response(JSON.stringify({ error: error.message }), {
+            status: error.status || 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+    }
+}
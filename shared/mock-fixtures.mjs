@@ -0,0 +1,84 @@
+// Scripted replies for the mock provider (PROVIDER=mock, see shared/mock-provider.mjs).
+// Keyed by NPC type; "*" applies to every NPC and is checked first. Each reply:
+//   match      regular expression tested against the player's message (omit to match anything)
+//   narrative  text shown to the player
+//   logic      JSON block appended after the narrative (effects, next, setFlags, ...)
+//   simulate   optional failure modes:
+//     chunkChars / chunkDelayMs   size and pace of the streamed pieces (default 4 / 30)
+//     think                       reasoning preamble wrapped in <think> tags
+//     malformed                   cut the JSON block off halfway
+//     stallAfter / stallMs        go silent after that many chunks, for that long (default 30000)
+//     dropAfter                   close the stream after that many chunks, without [DONE]
+//     status                      answer with this HTTP error instead (429, 500, ...)
+export const MOCK_FIXTURES = {
+    '*': {
+        replies: [
+            { match: '#429', narrative: '', simulate: { status: 429 } },
+            { match: '#500', narrative: '', simulate: { status: 500 } },
+            {
+                match: '#slow',
+                narrative: '车厢的灯一盏接一盏地暗下去，你听见自己的呼吸声被拉得很长很长。',
+                simulate: { chunkChars: 1, chunkDelayMs: 400 }
+            },
+            {
+                match: '#stall',
+                narrative: '窗外的黑暗忽然凝固了，连车轮的声音也停在半空。',
+                simulate: { stallAfter: 3 }
+            },
+            {
+                match: '#drop',
+                narrative: '一阵刺耳的杂音盖过了一切，你只听清了半句话。',
+                simulate: { dropAfter: 4 }
+            },
+            {
+                match: '#think',
+                narrative: '对方沉默了很久，像是在回忆一件并不属于自己的事。',
+                simulate: { think: '玩家在试探，我应该保持神秘，不直接回答。' }
+            },
+            {
+                match: '#broken',
+                narrative: '你的话音刚落，整节车厢轻轻晃了一下，又恢复了平静。',
+                logic: { effects: { train_stability: -5 } },
+                simulate: { malformed: true }
+            }
+        ]
+    },
+    inspector: {
+        replies: [
+            {
+                match: '票|车票|ticket',
+                narrative: '检票员接过你的车票，指尖在票面上停了一瞬。“终点站……您确定要去那里吗？”',
+                logic: { effects: { inspector_trust: 5 } }
+            },
+            {
+                narrative: '检票员微微欠身，帽檐的阴影遮住了他的眼睛。“请出示您的车票，乘客。”'
+            }
+        ]
+    },
+    anomaly: {
+        replies: [
+            {
+                match: '你是谁|名字',
+                narrative: '那个乘客缓缓转过头，脸上的五官像没对好焦的照片。“我……也在找这个答案。”',
+                logic: { effects: { anomaly_awareness: 10, reality_noise: 5 } }
+            },
+            {
+                narrative: '异常乘客低声念着一串数字，每念一个，车窗上的水汽就多出一道指痕。'
+            }
+        ]
+    },
+    silent: {
+        replies: [
+            {
+                narrative: '沉默乘客抬起头看了你一眼，嘴唇动了动：“别问。”然后她把视线移回了手里的纸条。'
+            }
+        ]
+    },
+    none: {
+        replies: [
+            {
+                narrative: '车厢里只有车轮碾过铁轨的声音，一下，又一下，像是在替谁数着时间。'
+            }
+        ]
+    }
+};
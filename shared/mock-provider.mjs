@@ -0,0 +1,117 @@
+// Offline stand-in for an OpenAI-compatible provider, selected with PROVIDER=mock.
+// Replies come from shared/mock-fixtures.mjs and stream as chat-completion SSE, so the
+// handler's normalization and failover and the client's streamLLM see realistic input.
+import { MOCK_FIXTURES } from './mock-fixtures.mjs';
+
+const DEFAULT_CHUNK_CHARS = 4;
+const DEFAULT_CHUNK_DELAY_MS = 30;
+const DEFAULT_STALL_MS = 30000;  // Well past the handler's STREAM_IDLE_MS (15s), so a stall always fails the stream
+
+export const MOCK_PROVIDER = {
+    id: 'mock',
+    baseUrl: 'mock://',
+    keyBinding: null,
+    priority: 0,
+    timeoutMs: 20000,
+    models: {},
+    jsonMode: false,
+    mock: true
+};
+
+const pickReply = (npcType, userText) => {
+    const candidates = [...MOCK_FIXTURES['*'].replies, ...(MOCK_FIXTURES[npcType]?.replies || [])];
+    return candidates.find(reply => !reply.match || new RegExp(reply.match, 'i').test(userText))
+        || MOCK_FIXTURES.none.replies[0];
+};
+
+const buildContent = (reply) => {
+    const simulate = reply.simulate || {};
+    const logic = {
+        effects: { train_stability: 0, reality_noise: 0, inspector_trust: 0, anomaly_awareness: 0 },
+        next: null,
+        ending: null,
+        setFlags: {},
+        giveItems: [],
+        takeItems: [],
+        ...reply.logic
+    };
+    let json = JSON.stringify(logic);
+    if (simulate.malformed) json = json.slice(0, Math.floor(json.length / 2));
+    const think = simulate.think ? `<think>${simulate.think}</think>\n` : '';
+    return `${think}${reply.narrative}\n\`\`\`json\n${json}\n\`\`\``;
+};
+
+const chunkText = (text, size) => {
+    const chars = [...text];
+    const chunks = [];
+    for (let i = 0; i < chars.length; i += size) chunks.push(chars.slice(i, i + size).join(''));
+    return chunks;
+};
+
+// Answers one chat-completion request body like the upstream API would; `turn.npcType` is the
+// NPC the prompt was built for (summaries and other prompts without one get the "none" replies)
+// and `turn.userText` the player's message, which the user message only carries among the rest
+export const mockCompletion = async (body, turn = {}) => {
+    const messages = body.messages || [];
+    const userText = turn.userText ?? ([...messages].reverse().find(message => message.role === 'user')?.content || '');
+    const npcType = Object.hasOwn(MOCK_FIXTURES, turn.npcType) && turn.npcType !== '*' ? turn.npcType : 'none';
+    const reply = pickReply(npcType, userText);
+    const simulate = reply.simulate || {};
+    console.log(`[mock] ${npcType} <- "${userText.slice(0, 30)}"${reply.simulate ? ` (${Object.keys(simulate).join(', ')})` : ''}`);
+
+    if (simulate.status) {
+        return new Response(JSON.stringify({ error: { message: `mock HTTP ${simulate.status}` } }), {
+            status: simulate.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    const content = buildContent(reply);
+    if (!body.stream) {
+        return new Response(JSON.stringify({
+            model: body.model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+        }), { headers: { 'Content-Type': 'application/json' } });
+    }
+
+    const encoder = new TextEncoder();
+    const event = (data) => encoder.encode(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    const chunks = chunkText(content, simulate.chunkChars || DEFAULT_CHUNK_CHARS);
+    let cancelled = false;  // The reader went away (client gone, idle timeout or failover)
+    let wake = null;
+    // A pause that ends early on cancel, so a stall doesn't outlive its reader
+    const sleep = (ms) => new Promise(resolve => {
+        const timer = setTimeout(resolve, ms);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    });
+    const stream = new ReadableStream({
+        async start(controller) {
+            try {
+                for (let i = 0; i < chunks.length && !cancelled; i++) {
+                    if (i === simulate.dropAfter) {
+                        controller.close();
+                        return;
+                    }
+                    if (i === simulate.stallAfter) await sleep(simulate.stallMs || DEFAULT_STALL_MS);
+                    await sleep(simulate.chunkDelayMs ?? DEFAULT_CHUNK_DELAY_MS);
+                    if (cancelled) return;
+                    controller.enqueue(event({ model: body.model, choices: [{ index: 0, delta: { content: chunks[i] } }] }));
+                }
+                if (cancelled) return;
+                controller.enqueue(event({ model: body.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] }));
+                controller.enqueue(event('[DONE]'));
+                controller.close();
+            } catch (err) {
+                if (!cancelled) controller.error(err);
+            }
+        },
+        cancel() {
+            cancelled = true;
+            if (wake) wake();
+        }
+    });
+    return new Response(stream, { headers: { 'Content-Type': 'text/event-stream' } });
+};
@@ -0,0 +1,314 @@
+// Renders scene text for the prompt from scenes.json, so clients only name the scene.
+// Same template language as "Text Templates" in js/main.js (keep the two in step):
+//   {loop} {reality_noise} {flags.saw_note}      interpolate a stat or flag
+//   {if reality_noise>=40}..{elif item:note}..{else}..{/if}
+//   {loop>=2:..}  {seen:detained:..}           inline conditionals
+//   {pick:a|b|c}                                variant chosen per loop
+//   {npc} {npc:silent} {pronoun} {pronoun:silent}
+// Syntax errors are reported by the client and `npm run validate`; here a broken tag is kept as text.
+//
+// `state` is a validated turn (see readDialogueTurn in shared/prompt-builder.mjs):
+//   { npcType, stats, dispositions, flags, inventory, seenEndings, npcs }
+const templateCache = new Map();
+
+export const renderSceneText = (source, state) => {
+    if (!source) return '...';
+    let nodes = templateCache.get(source);
+    if (!nodes) {
+        nodes = parseTemplate(source);
+        templateCache.set(source, nodes);
+    }
+    return renderNodes(nodes, state, { source, pickIndex: 0 });
+};
+
+// ============================================
+// Parsing
+// ============================================
+const parseTemplate = (source) => {
+    const parser = { source, pos: 0 };
+    const nodes = [];
+    let result;
+    do {
+        result = parseSequence(parser, []);
+        nodes.push(...result.nodes);
+    } while (result.stop);  // A stray {elif}/{else}/{/if} at the top level is skipped
+    return nodes;
+};
+
+// Reads nodes until the end, one of `terminators` ('}' or '|') or an {elif}/{else}/{/if}
+const parseSequence = (parser, terminators) => {
+    const nodes = [];
+    let text = '';
+    const flushText = () => {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (parser.pos < parser.source.length) {
+        const ch = parser.source[parser.pos];
+        if (terminators.includes(ch)) {
+            flushText();
+            return { nodes, terminator: ch };
+        }
+        if (ch !== '{') {
+            text += ch;
+            parser.pos++;
+            continue;
+        }
+
+        const start = parser.pos;
+        const tag = parseTag(parser);
+        if (!tag) {
+            text += '{';
+            parser.pos = start + 1;
+            continue;
+        }
+        flushText();
+        if (tag.type === 'elif' || tag.type === 'else' || tag.type === 'close') return { nodes, stop: tag };
+        nodes.push(tag);
+    }
+    flushText();
+    return { nodes, terminator: null };
+};
+
+const parseTag = (parser) => {
+    const { source } = parser;
+    const start = parser.pos;
+    const head = source.slice(start + 1).match(/^(\/if|[A-Za-z_][\w.]*)/);
+    if (!head) return null;
+    const word = head[1];
+    parser.pos = start + 1 + word.length;
+    const next = source[parser.pos];
+
+    switch (word) {
+        case 'if':
+        case 'elif': {
+            const expression = readUntil(parser, '}');
+            if (expression === null) return null;
+            const condition = parseExpression(expression.trim());
+            return word === 'elif' ? { type: 'elif', condition } : parseIf(parser, condition);
+        }
+        case 'else':
+        case '/if':
+            if (next !== '}') return null;
+            parser.pos++;
+            return { type: word === 'else' ? 'else' : 'close' };
+        case 'pick': {
+            if (next !== ':') break;
+            parser.pos++;
+            const options = [];
+            let result;
+            do {
+                result = parseSequence(parser, ['|', '}']);
+                options.push(result.nodes);
+                if (result.terminator) parser.pos++;
+            } while (result.terminator === '|');
+            return { type: 'pick', options };
+        }
+        case 'seen': {
+            if (next !== ':') break;
+            parser.pos++;
+            const endingId = readUntil(parser, ':');
+            if (endingId === null) return null;
+            return parseInline(parser, { type: 'seen', id: endingId.trim() });
+        }
+        case 'npc':
+        case 'pronoun': {
+            let npcType = null;
+            if (next === ':') {
+                parser.pos++;
+                npcType = readUntil(parser, '}');
+                if (npcType === null) return null;
+            } else if (next === '}') {
+                parser.pos++;
+            } else {
+                break;
+            }
+            return { type: word, npcType: npcType ? npcType.trim() : null };
+        }
+    }
+
+    if (next === '}') {
+        parser.pos++;
+        return { type: 'var', name: word };
+    }
+    if (/^[<>=!]/.test(next || '')) {
+        const rest = readUntil(parser, ':');
+        if (rest === null) return null;
+        return parseInline(parser, parseExpression(word + rest));
+    }
+    return null;
+};
+
+const readUntil = (parser, ch) => {
+    const end = parser.source.indexOf(ch, parser.pos);
+    if (end === -1) return null;
+    const text = parser.source.slice(parser.pos, end);
+    parser.pos = end + 1;
+    return text;
+};
+
+const parseIf = (parser, condition) => {
+    const branches = [];
+    let elseNodes = [];
+    let current = { condition, nodes: [] };
+    while (true) {
+        const result = parseSequence(parser, []);
+        current.nodes = result.nodes;
+        branches.push(current);
+        if (!result.stop || result.stop.type === 'close') break;
+        if (result.stop.type === 'elif') {
+            current = { condition: result.stop.condition, nodes: [] };
+        } else {
+            elseNodes = parseSequence(parser, []).nodes;
+            break;
+        }
+    }
+    return { type: 'if', branches, elseNodes };
+};
+
+const parseInline = (parser, condition) => {
+    const result = parseSequence(parser, ['}']);
+    if (result.terminator === '}') parser.pos++;
+    return { type: 'if', branches: [{ condition, nodes: result.nodes }], elseNodes: [] };
+};
+
+// or := and (or and)*, and := unary (and unary)*, unary := not unary | operand (op operand)?
+const parseExpression = (text) => {
+    const tokens = text.match(/>=|<=|==|!=|&&|\|\||[<>!]|-?\d+(?:\.\d+)?|[A-Za-z_][\w.]*(?::[\w.]+)?|\S/g) || [];
+    const invalid = { type: 'literal', value: false };
+    let index = 0;
+    const peek = () => tokens[index];
+
+    const parseOperand = () => {
+        const token = tokens[index++];
+        if (token === undefined) return invalid;
+        if (/^-?\d/.test(token)) return { type: 'literal', value: Number(token) };
+        if (/^[A-Za-z_]/.test(token)) {
+            const [prefix, name] = token.split(':');
+            if (name === undefined) return { type: 'name', name: token };
+            return ['flag', 'item', 'seen'].includes(prefix) ? { type: prefix, id: name } : invalid;
+        }
+        return invalid;
+    };
+    const parseUnary = () => {
+        if (peek() === 'not' || peek() === '!') {
+            index++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        const left = parseOperand();
+        if (['>=', '<=', '>', '<', '==', '!='].includes(peek())) {
+            const op = tokens[index++];
+            return { type: 'compare', op, left, right: parseOperand() };
+        }
+        return left;
+    };
+    const parseAnd = () => {
+        let node = parseUnary();
+        while (peek() === 'and' || peek() === '&&') {
+            index++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    };
+    const parseOr = () => {
+        let node = parseAnd();
+        while (peek() === 'or' || peek() === '||') {
+            index++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    if (tokens.length === 0) return invalid;
+    const tree = parseOr();
+    return index < tokens.length ? invalid : tree;
+};
+
+// ============================================
+// Rendering
+// ============================================
+// A stat (loop, reality_noise, inspector.trust), flags.name, or a bare flag name
+const resolveName = (name, state) => {
+    if (name.startsWith('flags.')) return state.flags.includes(name.slice(6));
+    if (Object.hasOwn(state.stats, name)) return state.stats[name];
+    const [npcType, axis] = name.split('.');
+    const entry = axis && Object.hasOwn(state.dispositions, npcType)
+        ? state.dispositions[npcType].find(candidate => candidate.axis === axis)
+        : null;
+    if (entry) return entry.value;
+    return state.flags.includes(name);
+};
+
+const evaluate = (node, state) => {
+    switch (node.type) {
+        case 'literal': return node.value;
+        case 'flag': return state.flags.includes(node.id);
+        case 'item': return state.inventory.includes(node.id);
+        case 'seen': return state.seenEndings.includes(node.id);
+        case 'name': return resolveName(node.name, state);
+        case 'not': return !evaluate(node.operand, state);
+        case 'and': return evaluate(node.left, state) && evaluate(node.right, state);
+        case 'or': return evaluate(node.left, state) || evaluate(node.right, state);
+        case 'compare': {
+            const left = evaluate(node.left, state);
+            const right = evaluate(node.right, state);
+            switch (node.op) {
+                case '>=': return left >= right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '<': return left < right;
+                case '==': return left === right;
+                case '!=': return left !== right;
+            }
+        }
+    }
+    return false;
+};
+
+const getNpc = (state, npcType) => {
+    const type = npcType || state.npcType;
+    return Object.hasOwn(state.npcs, type) ? state.npcs[type] : null;
+};
+
+const renderNodes = (nodes, state, context) => nodes.map(node => {
+    switch (node.type) {
+        case 'text':
+            return node.value;
+        case 'var': {
+            const value = resolveName(node.name, state);
+            return value === undefined || value === false ? '' : String(value);
+        }
+        case 'if': {
+            const branch = node.branches.find(b => evaluate(b.condition, state));
+            return renderNodes(branch ? branch.nodes : node.elseNodes, state, context);
+        }
+        case 'pick': {
+            // Same seed as the client, so the prompt describes the variant the player sees
+            const seed = hashString(`${state.stats.loop}|${context.source}|${context.pickIndex++}`);
+            return renderNodes(node.options[seed % node.options.length], state, context);
+        }
+        case 'npc': {
+            const npc = getNpc(state, node.npcType);
+            return npc && npc.id !== 'none' ? npc.name : '';
+        }
+        case 'pronoun': {
+            const gender = getNpc(state, node.npcType)?.gender;
+            return gender === '女' ? '她' : (gender === '男' ? '他' : '它');
+        }
+    }
+    return '';
+}).join('');
+
+// FNV-1a with a final avalanche, as hashString in js/main.js
+const hashString = (text) => {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x45d9f3b);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
@@ -0,0 +1,37 @@
+// Starting the client on pages with and without the optional panels (README "Page Markup").
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGame } from './helpers/load-game.mjs';
+
+const PANEL_IDS = [
+    'btn-saves', 'saves-overlay', 'saves-content', 'btn-close-saves',
+    'btn-endings', 'endings-overlay', 'endings-content', 'btn-close-endings',
+    'btn-inventory', 'inventory-overlay', 'inventory-content', 'btn-close-inventory',
+    'btn-prompt-debug', 'prompt-overlay', 'prompt-content', 'btn-close-prompt',
+    'stat-disposition'
+];
+
+test('the game starts on a page without the optional panels', async () => {
+    const { game } = await loadGame({
+        expose: ['toggleSaves', 'toggleInventory', 'toggleEndingsGallery', 'togglePromptDebug', 'applyItemChanges'],
+        missingIds: PANEL_IDS,
+        config: { DEBUG_PROMPT: true }
+    });
+    assert.equal(game.worldState.currentSceneId, 'start');
+    // Opening a panel that isn't there does nothing
+    for (const toggle of [game.toggleSaves, game.toggleInventory, game.toggleEndingsGallery, game.togglePromptDebug]) {
+        assert.doesNotThrow(() => toggle(true));
+    }
+    assert.doesNotThrow(() => game.applyItemChanges(['note'], []));
+});
+
+test('the panels open when their markup is there', async () => {
+    const { game, elements } = await loadGame({ expose: ['toggleSaves', 'toggleInventory', 'toggleEndingsGallery'] });
+    game.toggleSaves(true);
+    game.toggleInventory(true);
+    game.toggleEndingsGallery(true);
+    for (const id of ['saves', 'inventory', 'endings']) {
+        assert.ok(elements.get(`${id}-overlay`).classList.contains('active'), `${id} panel is open`);
+        assert.ok(elements.get(`${id}-content`).children.length > 0, `${id} panel has content`);
+    }
+});
@@ -0,0 +1,169 @@
+// Runs js/main.js in a vm context with a minimal stand-in for the page, so tests can drive the
+// client without a browser. main.js is an IIFE with no exports; the functions a test names in
+// `expose` are handed out through a line added before its closing `})();`.
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const createElement = (tagName, id = '') => {
+    const classes = new Set();
+    const element = {
+        tagName: tagName.toUpperCase(),
+        id,
+        children: [],
+        parentNode: null,
+        style: {},
+        dataset: {},
+        attributes: {},
+        textContent: '',
+        value: '',
+        disabled: false,
+        hidden: false,
+        classList: {
+            add: (...names) => names.forEach(name => classes.add(name)),
+            remove: (...names) => names.forEach(name => classes.delete(name)),
+            contains: (name) => classes.has(name),
+            toggle: (name, force) => ((force ?? !classes.has(name)) ? classes.add(name) : classes.delete(name), classes.has(name))
+        },
+        get className() { return [...classes].join(' '); },
+        set className(value) {
+            classes.clear();
+            String(value).split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+        },
+        get innerHTML() { return ''; },
+        set innerHTML(value) {
+            element.children.forEach(child => { child.parentNode = null; });
+            element.children = [];
+            element.textContent = '';
+        },
+        get isConnected() { return element.parentNode !== null || element.id !== ''; },
+        appendChild(child) {
+            if (child.parentNode) child.parentNode.removeChild(child);
+            child.parentNode = element;
+            element.children.push(child);
+            return child;
+        },
+        insertBefore(child) { return element.appendChild(child); },
+        removeChild(child) {
+            element.children = element.children.filter(candidate => candidate !== child);
+            child.parentNode = null;
+            return child;
+        },
+        remove() { if (element.parentNode) element.parentNode.removeChild(element); },
+        after() {},
+        contains: (child) => element.children.includes(child),
+        closest: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute(name, value) { element.attributes[name] = String(value); },
+        getAttribute: (name) => element.attributes[name] ?? null,
+        scrollTo() {},
+        focus() {},
+        click() {},
+        play: () => Promise.resolve(),
+        pause() {},
+        load() {}
+    };
+    return element;
+};
+
+const createStorage = (initial) => {
+    const store = new Map(Object.entries(initial));
+    return {
+        store,
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => { store.set(key, String(value)); },
+        removeItem: (key) => { store.delete(key); },
+        key: (index) => [...store.keys()][index] ?? null,
+        get length() { return store.size; }
+    };
+};
+
+// Content files come from the repository; requests to CONFIG.API_URL go to `api(url, init)`
+const createFetch = (api) => async (url, init) => {
+    if (/^https?:/.test(url)) {
+        if (api) return api(url, init);
+        return new Response('no API in this test', { status: 503 });
+    }
+    const file = path.join(ROOT, url.split('?')[0]);
+    if (!fs.existsSync(file)) return new Response('not found', { status: 404 });
+    return new Response(fs.readFileSync(file, 'utf8'), { headers: { 'Content-Type': 'application/json' } });
+};
+
+/**
+ * Load the game and run its init.
+ *   expose      names of main.js functions and constants to hand out as `game.<name>`
+ *   storage     initial localStorage contents
+ *   missingIds  element ids the page does not have (getElementById returns null)
+ *   api         handler for requests to the proxy: (url, init) => Response
+ *   config      CONFIG overrides
+ * Returns { game, storage, elements, console } once init has finished. `game.worldState` and
+ * `game.metaState` read the live state.
+ */
+export const loadGame = async ({ expose = [], storage = {}, missingIds = [], api = null, config = {} } = {}) => {
+    const elements = new Map();
+    const missing = new Set(missingIds);
+    const localStorage = createStorage(storage);
+    const logs = { log: [], warn: [], error: [], info: [] };
+    const record = (level) => (...args) => logs[level].push(args.map(String).join(' '));
+    let onReady = null;
+
+    const document = {
+        readyState: 'loading',
+        hidden: false,
+        body: createElement('body', 'body'),
+        getElementById: (id) => {
+            if (missing.has(id)) return null;
+            if (!elements.has(id)) elements.set(id, createElement('div', id));
+            return elements.get(id);
+        },
+        createElement: (tagName) => createElement(tagName),
+        createTextNode: (text) => ({ textContent: text }),
+        createDocumentFragment: () => createElement('fragment'),
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: (type, listener) => { if (type === 'DOMContentLoaded') onReady = listener; }
+    };
+
+    const context = vm.createContext({
+        console: { log: record('log'), warn: record('warn'), error: record('error'), info: record('info') },
+        document,
+        localStorage,
+        fetch: createFetch(api),
+        setTimeout,
+        clearTimeout,
+        setInterval: () => 0,  // The placeholder animation and the event clock never stop
+        clearInterval() {},
+        confirm: () => true,
+        alert() {},
+        prompt: () => null,
+        Image: function Image() { return createElement('img'); },
+        Blob: function Blob() {},
+        URL: { createObjectURL: () => '', revokeObjectURL() {} },
+        FileReader: function FileReader() {},
+        TextDecoder,
+        TextEncoder,
+        AbortController,
+        Request,
+        Response,
+        Headers
+    });
+    context.window = context;
+
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'js/config.js'), 'utf8').replace('const CONFIG', 'var CONFIG'), context);
+    Object.assign(context.CONFIG, config);
+
+    const source = fs.readFileSync(path.join(ROOT, 'js/main.js'), 'utf8').replace(/^﻿/, '');
+    const end = source.lastIndexOf('})();');
+    const handles = expose.map(name => `${name}: typeof ${name} === 'undefined' ? undefined : ${name}, `).join('');
+    const hook = `globalThis.__game = { ${handles}get worldState() { return worldState; }, set worldState(value) { worldState = value; }, get metaState() { return metaState; } };\n`;
+    vm.runInContext(source.slice(0, end) + hook + source.slice(end), context, { filename: 'js/main.js' });
+
+    await onReady();
+    return { game: context.__game, storage: localStorage.store, elements, console: logs };
+};
@@ -0,0 +1,95 @@
+// Drives the mock provider's failure modes (shared/mock-fixtures.mjs) through handleChatRequest,
+// as the client's streamLLM sees them. Run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleChatRequest } from '../shared/chat-handler.mjs';
+
+// A short idle timeout keeps the stall case fast; the mock's own stall is far longer
+const env = { PROVIDER: 'mock', STREAM_IDLE_MS: '300' };
+
+const turn = (userText, npcType = 'inspector') => ({
+    npcType,
+    sceneId: 'inspector_01',
+    stats: { loop: 1, train_stability: 80, reality_noise: 0, inspector_trust: 30, anomaly_awareness: 0 },
+    userText
+});
+
+const post = (path, body) => handleChatRequest(new Request(`http://localhost${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+}), env, { waitUntil() {} });
+
+const chat = (userText, npcType) => post('/api/chat', { kind: 'dialogue', model: 'mock', turn: turn(userText, npcType) });
+const stream = (userText, npcType) => post('/api/chat/stream', { kind: 'dialogue', model: 'mock', turn: turn(userText, npcType) });
+
+// The SSE events of a streamed reply: the joined text, whether [DONE] came, and any error event
+const readEvents = async (response) => {
+    const lines = (await response.text()).split('\n').filter(line => line.startsWith('data: '));
+    let text = '';
+    let done = false;
+    let error = null;
+    for (const line of lines) {
+        const data = line.slice(6);
+        if (data === '[DONE]') {
+            done = true;
+            continue;
+        }
+        const json = JSON.parse(data);
+        if (json.error) error = json.error;
+        else text += json.choices[0].delta.content;
+    }
+    return { text, done, error };
+};
+
+test('#429 and #500 come back as the provider status', async () => {
+    for (const status of [429, 500]) {
+        const response = await chat(`#${status}`);
+        assert.equal(response.status, status);
+        assert.match((await response.json()).error, new RegExp(`mock HTTP ${status}`));
+    }
+});
+
+test('#drop ends the stream with a retryable error instead of [DONE]', async () => {
+    const response = await stream('#drop');
+    assert.equal(response.status, 200);
+    const { text, done, error } = await readEvents(response);
+    assert.ok(text.length > 0);
+    assert.equal(done, false);
+    assert.equal(error.code, 'upstream_interrupted');
+    assert.equal(error.retryable, true);
+    assert.match(error.message, /without \[DONE\]/);
+});
+
+test('#stall ends the stream once the upstream goes silent', async () => {
+    const started = Date.now();
+    const { done, error } = await readEvents(await stream('#stall'));
+    assert.equal(done, false);
+    assert.equal(error.code, 'upstream_interrupted');
+    assert.match(error.message, /upstream silent/);
+    assert.ok(Date.now() - started < 5000, 'the stall was cut short by the idle timeout');
+});
+
+test('#think strips the reasoning preamble from streamed and plain replies', async () => {
+    const streamed = await readEvents(await stream('#think'));
+    assert.equal(streamed.done, true);
+    assert.ok(streamed.text.trimStart().startsWith('对方沉默了很久'));
+    assert.doesNotMatch(streamed.text, /<\/?think>|玩家在试探/);
+
+    const plain = await (await chat('#think')).json();
+    assert.ok(plain.choices[0].message.content.trimStart().startsWith('对方沉默了很久'));
+});
+
+test('#broken delivers the narrative with a cut-off JSON block', async () => {
+    const { text, done } = await readEvents(await stream('#broken'));
+    assert.equal(done, true);
+    const json = text.match(/```json\s*([\s\S]*?)```/)[1];
+    assert.throws(() => JSON.parse(json), SyntaxError);
+});
+
+test('replies are picked for the NPC the turn is addressed to', async () => {
+    const inspector = await (await chat('你好', 'inspector')).json();
+    assert.match(inspector.choices[0].message.content, /检票员/);
+    const silent = await (await chat('你好', 'silent')).json();
+    assert.match(silent.choices[0].message.content, /沉默乘客/);
+});
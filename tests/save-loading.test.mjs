@@ -0,0 +1,65 @@
+// Starting the client on what localStorage holds: a baseline save is migrated and kept, a save that
+// can't be used is moved to a nighttrain_save_corrupt_* key. Run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGame } from './helpers/load-game.mjs';
+
+const STORAGE_KEY = 'nighttrain_save';
+const CORRUPT_SAVE_PREFIX = 'nighttrain_save_corrupt_';
+
+const corruptKeys = (storage) => [...storage.keys()].filter(key => key.startsWith(CORRUPT_SAVE_PREFIX));
+
+test('a baseline save is loaded and stored in the current format', async () => {
+    const baseline = {
+        loop: 3,
+        train_stability: 60,
+        reality_noise: 10,
+        inspector_trust: 45,
+        anomaly_awareness: 5,
+        flags: { has_note: true },
+        playedScenes: ['start'],
+        currentSceneId: 'start',
+        sceneCount: 1,
+        turnCount: 0,
+        dialogHistory: [],
+        currentNpcType: 'none',
+        bgmVolume: 0.5,
+        isBgmMuted: false
+    };
+    const { game, storage } = await loadGame({
+        expose: ['saveState'],
+        storage: { [STORAGE_KEY]: JSON.stringify(baseline) }
+    });
+    assert.equal(game.worldState.loop, 3);
+    assert.ok(game.worldState.inventory.includes('note'));
+    assert.deepEqual(corruptKeys(storage), []);
+
+    game.saveState();
+    const stored = JSON.parse(storage.get(STORAGE_KEY));
+    assert.equal(stored.saveVersion, 1);
+    assert.equal(stored.loop, 3);
+    assert.equal('has_note' in stored.flags, false);
+});
+
+test('a corrupt save is quarantined and the game starts fresh', async () => {
+    const raw = '{"loop":3,"train_stability":';
+    const { game, storage, console: logs } = await loadGame({
+        expose: ['loadOrCreateState'],
+        storage: { [STORAGE_KEY]: raw }
+    });
+    const [key] = corruptKeys(storage);
+    assert.equal(storage.get(key), raw);
+    assert.equal(game.worldState.loop, 1);
+    assert.ok(logs.warn.some(line => line.includes(`kept as ${key}`)));
+    // Whatever the fresh game stored is not the corrupt save
+    assert.notEqual(storage.get(STORAGE_KEY), raw);
+
+    // Loading clears the original key once the copy is made
+    const newer = JSON.stringify({ saveVersion: 99, loop: 4 });
+    storage.set(STORAGE_KEY, newer);
+    await new Promise(resolve => setTimeout(resolve, 2));  // Quarantine keys are per millisecond
+    game.loadOrCreateState();
+    assert.equal(storage.has(STORAGE_KEY), false);
+    assert.equal(corruptKeys(storage).length, 2);
+    assert.ok(corruptKeys(storage).some(candidate => storage.get(candidate) === newer));
+});
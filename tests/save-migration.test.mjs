@@ -0,0 +1,67 @@
+// migrateState on the save shapes that exist in the wild: baseline saves (no saveVersion, written
+// before any migration existed) and saves of the current version. Run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadGame } from './helpers/load-game.mjs';
+
+const { game } = await loadGame({ expose: ['migrateState', 'createDefaultState', 'SAVE_VERSION'] });
+
+// Objects from the game's vm context have its prototypes; compare them as plain data
+const migrate = (save) => JSON.parse(JSON.stringify(game.migrateState(save)));
+
+// What the baseline client wrote: DEFAULT_STATE spread over the parsed save, no version
+const baselineSave = () => ({
+    loop: 2,
+    train_stability: 55,
+    reality_noise: 20,
+    inspector_trust: 40,
+    anomaly_awareness: 10,
+    flags: { has_note: true, saw_note: true },
+    playedScenes: ['start', 'inspector_01'],
+    currentSceneId: 'inspector_01',
+    sceneCount: 2,
+    turnCount: 3,
+    dialogHistory: [
+        { role: 'user', text: '车票呢？', sceneTitle: '检票', npcName: '检票员', npcType: 'inspector', timestamp: 1 },
+        { role: 'npc', text: '请出示车票。', sceneTitle: '检票', npcName: '检票员', npcType: 'inspector', timestamp: 2 }
+    ],
+    currentNpcType: 'inspector',
+    bgmVolume: 0.3,
+    isBgmMuted: true
+});
+
+test('a baseline save keeps its progress and gains the state added since', () => {
+    const state = migrate(baselineSave());
+    assert.equal(state.saveVersion, game.SAVE_VERSION);
+    assert.equal(state.loop, 2);
+    assert.equal(state.train_stability, 55);
+    assert.equal(state.currentSceneId, 'inspector_01');
+    assert.equal(state.isBgmMuted, true);
+    assert.deepEqual(state.dialogHistory.map(entry => [entry.role, entry.text, entry.loop]), [['user', '车票呢？', 1], ['npc', '请出示车票。', 1]]);
+    // The has_note flag became the note item
+    assert.ok(state.inventory.includes('note'));
+    assert.equal('has_note' in state.flags, false);
+    assert.equal(state.flags.saw_note, true);
+    // The scene director's trail starts at the loaded scene with the saved stats
+    assert.deepEqual(state.sceneTrail, [{ id: 'inspector_01', stats: { train_stability: 55, reality_noise: 20, inspector_trust: 40, anomaly_awareness: 10 } }]);
+    const defaults = JSON.parse(JSON.stringify(game.createDefaultState()));
+    assert.deepEqual(state.events, defaults.events);
+    assert.deepEqual(state.dispositions, defaults.dispositions);
+});
+
+test('a baseline save with the status bar stat names has them renamed', () => {
+    const { train_stability, reality_noise, inspector_trust, anomaly_awareness, ...rest } = baselineSave();
+    const state = migrate({ ...rest, stability: 55, noise: 20, trust: 40, awareness: 10 });
+    assert.deepEqual(
+        [state.train_stability, state.reality_noise, state.inspector_trust, state.anomaly_awareness],
+        [55, 20, 40, 10]
+    );
+    for (const key of ['stability', 'noise', 'trust', 'awareness']) assert.equal(key in state, false);
+});
+
+test('a save of the current version loads unchanged', () => {
+    const current = migrate(baselineSave());
+    current.events.tick = 4;
+    current.dispositions.inspector.fear = 12;
+    assert.deepEqual(migrate(current), current);
+});
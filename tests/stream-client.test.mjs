@@ -0,0 +1,51 @@
+// The client's streamLLM against the mock provider's failure modes, served through handleChatRequest
+// as the Worker would. Run with `npm test`.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleChatRequest } from '../shared/chat-handler.mjs';
+import { loadGame } from './helpers/load-game.mjs';
+
+// The proxy waits longer than the client, so a stall is the client's to notice
+const env = { PROVIDER: 'mock', STREAM_IDLE_MS: '1000' };
+
+const startGame = () => loadGame({
+    expose: ['streamLLM', 'constructTurn'],
+    api: (url, init) => handleChatRequest(new Request(url, init), env, { waitUntil() {} }),
+    config: { STREAM_STALL_MS: 200 }
+});
+
+// The NPC replies on screen, and the ones recorded in the dialogue history
+const npcReplies = ({ elements }) => elements.get('scene-text').children.filter(child => child.className === 'message-npc');
+const npcHistory = ({ game }) => [...game.worldState.dialogHistory].filter(entry => entry.role === 'npc').map(entry => entry.text);
+
+const send = ({ game }, userText) => game.streamLLM(game.constructTurn(userText), new AbortController().signal);
+
+test('a stalled reply is requested again, then given up on', async () => {
+    const loaded = await startGame();
+    const started = Date.now();
+
+    await assert.rejects(send(loaded, '#stall'), { name: 'StreamInterrupted', retryable: true, message: /Stream stalled/ });
+    assert.ok(Date.now() - started < 5000, 'the stall was cut short by the client');
+    assert.ok(loaded.console.warn.some(line => line.includes('Stream stalled') && line.includes('requesting the reply again')));
+    // The half reply is taken off the screen and not recorded
+    assert.deepEqual(npcReplies(loaded), []);
+    assert.deepEqual(npcHistory(loaded), []);
+});
+
+test('a dropped reply is requested again, then given up on', async () => {
+    const loaded = await startGame();
+
+    await assert.rejects(send(loaded, '#drop'), { name: 'StreamInterrupted', message: /without \[DONE\]/ });
+    assert.deepEqual(npcReplies(loaded), []);
+    assert.deepEqual(npcHistory(loaded), []);
+});
+
+test('a reply with a broken JSON block shows its narrative and changes nothing', async () => {
+    const loaded = await startGame();
+    const before = loaded.game.worldState.train_stability;
+
+    assert.equal(await send(loaded, '#broken'), 'stay');
+    assert.deepEqual(npcHistory(loaded), ['你的话音刚落，整节车厢轻轻晃了一下，又恢复了平静。']);
+    assert.ok(loaded.console.warn.some(line => line.includes('JSON block is not valid JSON')));
+    assert.equal(loaded.game.worldState.train_stability, before);
+});
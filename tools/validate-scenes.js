@@ -0,0 +1,413 @@
+// Content validator for Night Train
+// Checks scenes.json against endings.json / flags.json / items.json / npcs.json (and the server-held
+// personas in shared/prompts/personas.json) and exits non-zero on errors.
+// Usage: npm run validate [-- --strict]   (--strict also fails on warnings)
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const strict = process.argv.includes('--strict');
+
+// Stats that choices may change through `effects` (see DEFAULT_STATE in js/main.js)
+const STAT_KEYS = ['train_stability', 'reality_noise', 'inspector_trust', 'anomaly_awareness'];
+// Other world state keys that conditions may test
+const STATE_KEYS = [...STAT_KEYS, 'loop', 'sceneCount', 'turnCount', 'currentSceneId', 'currentNpcType'];
+const STAT_RANGES = {
+    train_stability: [0, 100],
+    reality_noise: [0, 100],
+    inspector_trust: [0, 100],
+    anomaly_awareness: [0, 100],
+    loop: [1, Infinity],
+    sceneCount: [0, Infinity],
+    turnCount: [0, Infinity]
+};
+// NPC disposition axes, addressed as "<npc>.<axis>" (DISPOSITION_AXES in js/main.js)
+const DISPOSITION_AXES = ['trust', 'fear', 'familiarity'];
+const VALUE_OPERATORS = ['min', 'max', 'gte', 'lte', 'gt', 'lt', 'eq', 'ne', 'in', 'mod', 'rem'];
+const SCENE_LIST_OPERATORS = ['contains', 'excludes', 'count'];
+// Pool drawn from by choices without "next" (DEFAULT_SCENE_POOL in js/main.js)
+const DEFAULT_SCENE_POOL = 'wander';
+const TREND_DIRECTIONS = ['rising', 'falling', 'steady'];
+// Where scheduled events may cut in (EVENT_SOURCES in js/main.js)
+const EVENT_SOURCES = ['navigate', 'chat', 'idle'];
+
+// Scenes the engine enters without a choice pointing at them (buildLocations in js/main.js);
+// the default scenes of NPCs with a home are added from npcs.json
+const ENTRY_SCENES = ['start', 'corridor_01'];
+const GENDERS = ['男', '女', '无'];
+// Output guard rules and actions (see "NPC Output Guard" in js/main.js)
+const GUARD_RULES = ['emoji', 'bannedPhrase', 'pronoun', 'speechLength', 'narrativeLength'];
+const GUARD_ACTIONS = ['report', 'filter', 'truncate', 'retry'];
+
+const IMAGES_DIR = path.join(ROOT, 'assets', 'images');
+
+const errors = [];
+const warnings = [];
+
+const loadJson = (file) => {
+    const fullPath = path.join(ROOT, file);
+    try {
+        return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+        errors.push(`${file}: cannot be read (${error.message})`);
+        return null;
+    }
+};
+
+// Walk a condition block, reporting unknown keys/operators and collecting the flags it requires
+// Filled from items.json / npcs.json before any conditions are linted
+const knownItems = new Set();
+const dispositionKeys = new Set();
+
+const lintConditions = (conditions, where, requiredFlags = new Set()) => {
+    if (!conditions) return requiredFlags;
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+        errors.push(`${where}: condition block must be an object`);
+        return requiredFlags;
+    }
+
+    for (const [key, requirement] of Object.entries(conditions)) {
+        if (key === 'any' || key === 'all') {
+            if (!Array.isArray(requirement)) {
+                errors.push(`${where}: "${key}" expects an array`);
+                continue;
+            }
+            requirement.forEach((branch, i) => lintConditions(branch, `${where}.${key}[${i}]`, key === 'all' ? requiredFlags : new Set()));
+        } else if (key === 'not') {
+            lintConditions(requirement, `${where}.not`, new Set());
+        } else if (key === 'flags') {
+            for (const [flagName, expected] of Object.entries(requirement || {})) {
+                if (expected === true) requiredFlags.add(flagName);
+            }
+        } else if (key === 'playedScenes' || key === 'items') {
+            for (const op of Object.keys(requirement || {})) {
+                if (!SCENE_LIST_OPERATORS.includes(op)) errors.push(`${where}: unknown ${key} operator "${op}"`);
+            }
+            if (key === 'items') {
+                const ids = [(requirement || {}).contains, (requirement || {}).excludes].flat().filter(id => id !== undefined);
+                ids.filter(id => !knownItems.has(id)).forEach(id => errors.push(`${where}: unknown item "${id}"`));
+            }
+        } else if (!STATE_KEYS.includes(key) && !dispositionKeys.has(key)) {
+            errors.push(`${where}: unknown condition key "${key}"`);
+        } else if (requirement && typeof requirement === 'object') {
+            for (const op of Object.keys(requirement)) {
+                if (!VALUE_OPERATORS.includes(op)) errors.push(`${where}: unknown operator "${op}" on "${key}"`);
+            }
+        }
+    }
+    return requiredFlags;
+};
+
+// Conservative satisfiability check: only top-level numeric bounds and `any` branches are analysed
+const canBeSatisfied = (conditions) => {
+    if (!conditions || typeof conditions !== 'object') return true;
+
+    for (const [key, requirement] of Object.entries(conditions)) {
+        if (key === 'any') {
+            if (Array.isArray(requirement) && !requirement.some(canBeSatisfied)) return false;
+            continue;
+        }
+        if (key === 'all') {
+            if (Array.isArray(requirement) && !requirement.every(canBeSatisfied)) return false;
+            continue;
+        }
+        if (!STAT_RANGES[key] && !dispositionKeys.has(key)) continue;
+
+        let [low, high] = STAT_RANGES[key] || [0, 100];
+        if (typeof requirement === 'number') {
+            low = Math.max(low, requirement);
+            high = Math.min(high, requirement);
+        } else if (requirement && typeof requirement === 'object') {
+            const bound = (op) => (typeof requirement[op] === 'number' ? requirement[op] : undefined);
+            if (bound('min') !== undefined) low = Math.max(low, bound('min'));
+            if (bound('gte') !== undefined) low = Math.max(low, bound('gte'));
+            if (bound('gt') !== undefined) low = Math.max(low, bound('gt') + 1);
+            if (bound('max') !== undefined) high = Math.min(high, bound('max'));
+            if (bound('lte') !== undefined) high = Math.min(high, bound('lte'));
+            if (bound('lt') !== undefined) high = Math.min(high, bound('lt') - 1);
+        }
+        if (low > high) return false;
+    }
+    return true;
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+
+// Check a scene's "event" scheduling block (see World Events in js/main.js)
+const lintEvent = (event, where) => {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        errors.push(`${where}: event must be an object`);
+        return;
+    }
+    if (!Array.isArray(event.triggers) || event.triggers.length === 0) {
+        errors.push(`${where}: event needs a non-empty "triggers" array`);
+    } else {
+        event.triggers.forEach((trigger, i) => {
+            const triggerWhere = `${where}.triggers[${i}]`;
+            const kinds = ['crosses', 'while', 'afterSeconds'].filter(kind => trigger && trigger[kind] !== undefined);
+            if (kinds.length !== 1) {
+                errors.push(`${triggerWhere}: expected exactly one of "crosses", "while" or "afterSeconds"`);
+                return;
+            }
+            if (kinds[0] === 'afterSeconds' && !(trigger.afterSeconds > 0)) {
+                errors.push(`${triggerWhere}: afterSeconds must be a positive number`);
+            }
+            if (kinds[0] !== 'afterSeconds') {
+                // A trigger's block is always written out; {} is how "any time" is spelled
+                if (trigger[kinds[0]] === null) errors.push(`${triggerWhere}: ${kinds[0]} must be a condition block ({} for any time)`);
+                else lintConditions(trigger[kinds[0]], `${triggerWhere}.${kinds[0]}`);
+            }
+            if (trigger.chance !== undefined && !(isNonNegativeNumber(trigger.chance) && trigger.chance <= 1)) {
+                errors.push(`${triggerWhere}: chance must be between 0 and 1`);
+            }
+            if (trigger.chance !== undefined && kinds[0] !== 'while') {
+                warnings.push(`${triggerWhere}: chance only applies to "while" triggers`);
+            }
+        });
+    }
+    for (const key of ['weight', 'cooldown']) {
+        if (event[key] !== undefined && !isNonNegativeNumber(event[key])) errors.push(`${where}: ${key} must be a non-negative number`);
+    }
+    if (event.oncePerLoop !== undefined && typeof event.oncePerLoop !== 'boolean') {
+        errors.push(`${where}: oncePerLoop must be true or false`);
+    }
+    if (event.interrupts !== undefined) {
+        if (!Array.isArray(event.interrupts)) errors.push(`${where}: interrupts must be an array`);
+        else event.interrupts.filter(source => !EVENT_SOURCES.includes(source))
+            .forEach(source => errors.push(`${where}: unknown interrupt source "${source}"`));
+    }
+};
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const getScenePools = (scene) => {
+    if (Array.isArray(scene.pool)) return scene.pool;
+    if (typeof scene.pool === 'string') return [scene.pool];
+    return scene.random ? [DEFAULT_SCENE_POOL] : [];
+};
+
+// Check the scene director metadata (see Scene Director in js/main.js)
+const lintDirector = (scene, where) => {
+    if (scene.pool !== undefined && typeof scene.pool !== 'string' && !isStringArray(scene.pool)) {
+        errors.push(`${where}: pool must be a string or an array of strings`);
+    }
+    if (scene.tags !== undefined && !isStringArray(scene.tags)) errors.push(`${where}: tags must be an array of strings`);
+    if (scene.weight !== undefined && !(typeof scene.weight === 'number' && scene.weight > 0)) {
+        errors.push(`${where}: weight must be a positive number`);
+    }
+    if (scene.once !== undefined && typeof scene.once !== 'boolean') errors.push(`${where}: once must be true or false`);
+    for (const [stat, direction] of Object.entries(scene.trend || {})) {
+        if (!STAT_KEYS.includes(stat)) errors.push(`${where}: unknown stat "${stat}" in trend`);
+        if (!TREND_DIRECTIONS.includes(direction)) errors.push(`${where}: trend "${stat}" must be one of ${TREND_DIRECTIONS.join(', ')}`);
+    }
+};
+
+const lintSpeech = (speech, where) => {
+    if (speech.maxChars !== undefined && !(Number.isInteger(speech.maxChars) && speech.maxChars > 0)) {
+        errors.push(`${where}: speech.maxChars must be a positive integer`);
+    }
+    if (speech.bannedPhrases !== undefined && !isStringArray(speech.bannedPhrases)) {
+        errors.push(`${where}: speech.bannedPhrases must be an array of strings`);
+    }
+    const budget = speech.narrative;
+    if (budget !== undefined && !(Array.isArray(budget) && budget.length === 2 && budget.every(Number.isInteger) && budget[0] >= 0 && budget[0] <= budget[1] && budget[1] > 0)) {
+        errors.push(`${where}: speech.narrative must be a [min, max] pair of whole character counts with max > 0`);
+    }
+    for (const [rule, action] of Object.entries(speech.actions || {})) {
+        if (!GUARD_RULES.includes(rule)) errors.push(`${where}: unknown guard rule "${rule}" in speech.actions`);
+        else if (!GUARD_ACTIONS.includes(action)) errors.push(`${where}: speech.actions.${rule} must be one of ${GUARD_ACTIONS.join(' / ')}`);
+    }
+};
+
+const validate = () => {
+    const scenes = loadJson('scenes.json');
+    const endings = loadJson('endings.json') || [];
+    const flags = loadJson('flags.json') || [];
+    const thoughts = loadJson('thoughts.json') || [];
+    const items = loadJson('items.json') || [];
+    const npcs = loadJson('npcs.json') || [];
+    const personas = loadJson('shared/prompts/personas.json') || {};
+    if (!Array.isArray(scenes)) {
+        if (scenes) errors.push('scenes.json: expected an array of scenes');
+        return;
+    }
+
+    const sceneIds = new Set();
+    scenes.forEach((scene, i) => {
+        if (!scene.id) errors.push(`scenes[${i}]: missing id`);
+        else if (sceneIds.has(scene.id)) errors.push(`scenes[${i}]: duplicate id "${scene.id}"`);
+        else sceneIds.add(scene.id);
+    });
+    if (!sceneIds.has('start')) errors.push('scenes.json: no "start" scene');
+
+    const endingIds = new Set(endings.map(ending => ending.id));
+    const documentedFlags = new Set(flags.map(flag => flag.id));
+    const flagsSet = new Set();
+    const edges = new Map();
+    const requiredFlagsByScene = new Map();
+    const pools = new Set(scenes.flatMap(getScenePools));
+
+    items.forEach((item, i) => {
+        const where = `items/${item.id || i}`;
+        if (!item.id) errors.push(`items[${i}]: missing id`);
+        else if (knownItems.has(item.id)) errors.push(`items[${i}]: duplicate id "${item.id}"`);
+        else knownItems.add(item.id);
+        if (!item.name) errors.push(`${where}: missing name`);
+        if (item.icon && !fs.existsSync(path.join(IMAGES_DIR, item.icon))) {
+            errors.push(`${where}: icon "${item.icon}" is not in assets/images`);
+        }
+        if (item.grantableWith !== undefined && !Array.isArray(item.grantableWith)) {
+            errors.push(`${where}: grantableWith must be an array of NPC types`);
+        }
+    });
+    npcs.forEach(npc => {
+        if (!npc.disposition) return;
+        DISPOSITION_AXES.forEach(axis => dispositionKeys.add(`${npc.id}.${axis}`));
+    });
+    const npcIds = new Set(npcs.map(npc => npc.id));
+    npcs.forEach((npc, i) => {
+        const where = `npcs/${npc.id || i}`;
+        if (!npc.id) errors.push(`npcs[${i}]: missing id`);
+        if (typeof npc.name !== 'string') errors.push(`${where}: missing name`);
+        if (!GENDERS.includes(npc.gender)) errors.push(`${where}: gender must be one of ${GENDERS.join(' / ')}`);
+        if (npc.persona !== undefined) errors.push(`${where}: persona belongs in shared/prompts/personas.json, npcs.json is public`);
+        const persona = personas[npc.id];
+        if (typeof persona !== 'string' && !isStringArray(persona)) {
+            errors.push(`${where}: shared/prompts/personas.json needs a persona (a string or an array of lines)`);
+        }
+        const images = [...Object.values(npc.sprites || {}), ...(npc.home ? [npc.home.background] : [])];
+        images.filter(file => !fs.existsSync(path.join(IMAGES_DIR, String(file))))
+            .forEach(file => errors.push(`${where}: image "${file}" is not in assets/images`));
+        if (npc.home && !npc.defaultScene) errors.push(`${where}: an NPC with a home needs a defaultScene`);
+        if (npc.speech !== undefined && !(npc.speech && typeof npc.speech === 'object')) errors.push(`${where}: speech must be an object`);
+        else if (npc.speech) lintSpeech(npc.speech, where);
+        for (const [axis, value] of Object.entries(npc.disposition || {})) {
+            if (!DISPOSITION_AXES.includes(axis)) errors.push(`${where}: unknown disposition axis "${axis}"`);
+            else if (typeof value !== 'number') errors.push(`${where}: disposition.${axis} must be a number`);
+        }
+        for (const [axis, stat] of Object.entries(npc.linkedStats || {})) {
+            if (!DISPOSITION_AXES.includes(axis)) errors.push(`${where}: unknown disposition axis "${axis}" in linkedStats`);
+            if (!STAT_KEYS.includes(stat)) errors.push(`${where}: linkedStats.${axis} refers to unknown stat "${stat}"`);
+        }
+        for (const axis of Object.keys(npc.perTurn || {})) {
+            if (!DISPOSITION_AXES.includes(axis)) errors.push(`${where}: unknown disposition axis "${axis}" in perTurn`);
+        }
+        (npc.reactions || []).forEach((reaction, r) => {
+            if (!STAT_KEYS.includes(reaction.to) && !dispositionKeys.has(reaction.to)) {
+                errors.push(`${where}.reactions[${r}]: reacts to unknown stat "${reaction.to}"`);
+            }
+            for (const axis of Object.keys(reaction.effects || {})) {
+                if (!DISPOSITION_AXES.includes(axis)) errors.push(`${where}.reactions[${r}]: unknown disposition axis "${axis}"`);
+            }
+        });
+    });
+    Object.keys(personas).filter(id => !npcIds.has(id))
+        .forEach(id => warnings.push(`shared/prompts/personas.json: persona for unknown NPC "${id}"`));
+    flags.forEach(flag => {
+        if (flag.grantableWith !== undefined && !Array.isArray(flag.grantableWith)) {
+            errors.push(`flags/${flag.id}: grantableWith must be an array of NPC types`);
+        }
+        if (flag.persistent !== undefined && typeof flag.persistent !== 'boolean') {
+            errors.push(`flags/${flag.id}: persistent must be true or false`);
+        }
+    });
+    endings.forEach(ending => {
+        lintConditions(ending.conditions, `endings/${ending.id}`);
+        lintConditions(ending.llmConditions, `endings/${ending.id}.llmConditions`);
+    });
+    thoughts.forEach(thought => lintConditions(thought.conditions, `thoughts/${thought.id}`));
+
+    scenes.forEach(scene => {
+        const where = `scenes/${scene.id}`;
+        const targets = [];
+        requiredFlagsByScene.set(scene.id, lintConditions(scene.conditions, where));
+        if (scene.event !== undefined) lintEvent(scene.event, `${where}.event`);
+        if (npcs.length > 0 && scene.npc && !npcIds.has(scene.npc)) errors.push(`${where}: unknown npc "${scene.npc}"`);
+        lintDirector(scene, where);
+
+        for (const [, endingId] of (scene.text || '').matchAll(/\{seen:(\w+):/g)) {
+            if (!endingIds.has(endingId)) errors.push(`${where}: text refers to unknown ending "${endingId}"`);
+        }
+
+        (scene.choices || []).forEach((choice, i) => {
+            const choiceWhere = `${where}.choices[${i}] "${choice.label}"`;
+            lintConditions(choice.conditions, `${choiceWhere}.conditions`);
+            lintConditions(choice.lockedConditions, `${choiceWhere}.lockedConditions`);
+
+            if (choice.next) {
+                if (sceneIds.has(choice.next)) targets.push(choice.next);
+                else errors.push(`${choiceWhere}: next "${choice.next}" does not exist`);
+            }
+            if (!choice.next && choice.pool !== undefined && !pools.has(choice.pool)) {
+                errors.push(`${choiceWhere}: no scene belongs to pool "${choice.pool}"`);
+            }
+            if (choice.tags !== undefined && !isStringArray(choice.tags)) {
+                errors.push(`${choiceWhere}: tags must be an array of strings`);
+            }
+            if (choice.ending && !endingIds.has(choice.ending)) {
+                errors.push(`${choiceWhere}: ending "${choice.ending}" is not defined in endings.json`);
+            }
+            for (const key of Object.keys(choice.effects || {})) {
+                if (!STAT_KEYS.includes(key) && !dispositionKeys.has(key)) errors.push(`${choiceWhere}: unknown stat "${key}" in effects`);
+            }
+            for (const itemId of [...(choice.giveItems || []), ...(choice.takeItems || []), ...[choice.useItem].filter(Boolean)]) {
+                if (!knownItems.has(itemId)) errors.push(`${choiceWhere}: unknown item "${itemId}"`);
+            }
+            if (choice.consumeItem && !choice.useItem) warnings.push(`${choiceWhere}: consumeItem has no useItem to consume`);
+            for (const flagName of Object.keys(choice.setFlags || {})) {
+                flagsSet.add(flagName);
+                if (!documentedFlags.has(flagName)) warnings.push(`${choiceWhere}: flag "${flagName}" has no description in flags.json`);
+            }
+        });
+        edges.set(scene.id, targets);
+    });
+
+    if (!pools.has(DEFAULT_SCENE_POOL)) {
+        errors.push(`scenes.json: no scene belongs to the default pool "${DEFAULT_SCENE_POOL}"`);
+    }
+
+    // Pooled and event scenes must be able to appear at least once
+    const scheduledScenes = scenes.filter(scene => scene.event || getScenePools(scene).length > 0);
+    scheduledScenes.forEach(scene => {
+        if (!canBeSatisfied(scene.conditions)) {
+            errors.push(`scenes/${scene.id}: ${scene.event ? 'event' : 'pooled'} scene conditions can never be satisfied`);
+        }
+        for (const flagName of requiredFlagsByScene.get(scene.id) || []) {
+            if (!flagsSet.has(flagName)) errors.push(`scenes/${scene.id}: requires flag "${flagName}" which no choice sets`);
+        }
+    });
+
+    // Reachability from start and the other engine entry points
+    const reachable = new Set();
+    npcs.filter(npc => npc.home && npc.defaultScene).forEach(npc => {
+        if (!sceneIds.has(npc.defaultScene)) errors.push(`npcs/${npc.id}: defaultScene "${npc.defaultScene}" does not exist`);
+    });
+    const homeScenes = npcs.filter(npc => npc.home && npc.defaultScene).map(npc => npc.defaultScene);
+    const queue = [...ENTRY_SCENES, ...homeScenes, ...scheduledScenes.map(scene => scene.id)]
+        .filter(id => sceneIds.has(id));
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (reachable.has(id)) continue;
+        reachable.add(id);
+        queue.push(...(edges.get(id) || []));
+    }
+    scenes.forEach(scene => {
+        if (scene.id && !reachable.has(scene.id)) {
+            warnings.push(`scenes/${scene.id}: not reachable from start through choices (only via LLM "next")`);
+        }
+    });
+
+    console.log(`Checked ${scenes.length} scenes, ${endings.length} endings, ${flags.length} flags, ${thoughts.length} thoughts, ${items.length} items, ${npcs.length} npcs`);
+};
+
+validate();
+
+warnings.forEach(message => console.warn(`⚠️  ${message}`));
+errors.forEach(message => console.error(`❌ ${message}`));
+
+if (errors.length > 0 || (strict && warnings.length > 0)) {
+    console.error(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+    process.exit(1);
+}
+console.log(`✅ Content OK (${warnings.length} warning(s))`);